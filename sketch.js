@@ -1,10 +1,14 @@
 // === PERFORMANCE OPTIMIZED VERSION ===
 // Global variables with optimized defaults
 let bodyPose;
+let handPose;
 let video;
 let poses = [];
+let hands = [];
+let detectionMode = "body"; // body (ml5 bodyPose, wrists) or hands (ml5 handPose, fingertips)
 let connections;
 let balls = [];
+let nextBallId = 1; // Balls keep their ID for life, so TD can follow each one
 let score = 0;
 let containerWidth, containerHeight;
 let isModelReady = false;
@@ -12,49 +16,196 @@ let lastBallCreationTime = 0;
 let debugMode = false; // Set to false by default for better performance
 
 // Game state variables
-let gameState = "waiting"; // waiting, calibrating, playing, gameOver
+let gameState = "waiting"; // waiting, calibrating, playing, paused, resuming, gameOver, enteringInitials
 let showInstructions = true;
 let calibrationTime = 0;
-let calibrationDuration = 2000; // 2 seconds of calibration
 let startGestureDetected = false;
 let gestureProgressBar = 0;
 
+// Pause - game timers are shifted by the time spent paused, so nothing expires meanwhile
+const RESUME_COUNTDOWN = 3000; // ms countdown after resuming before balls move again
+let pausedAt = 0; // simulationTime the game was paused
+let resumeAt = 0; // simulationTime the resume countdown ends
+
+// Lives - every untouched ball that falls off the bottom costs one
+let startingLives = 3;
+let lives = startingLives;
+
+// Combo scoring - quick consecutive hits build a multiplier, a miss breaks it
+const COMBO_WINDOW = 1500; // ms allowed between hits to keep a combo going
+const COMBO_STEP = 5; // Hits per multiplier step (x2 at 6 hits, x3 at 11...)
+const MAX_COMBO_MULTIPLIER = 5;
+const STREAK_MILESTONES = [10, 25, 50, 100]; // Combo counts that trigger special effects
+let sharedCombo = createComboState(); // Combo for mouse/touch hits, which have no player
+
+// Leaderboard - daily and all-time top scores kept in localStorage
+const LEADERBOARD_STORAGE_KEY = "motionGame.leaderboard";
+const LEADERBOARD_SIZE = 10;
+const INITIALS_LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("").concat(["⌫"]);
+const INITIALS_COLUMNS = 7;
+const INITIALS_DWELL_TIME = 1000; // ms a wrist must hover over a letter to pick it
+const INITIALS_TIMEOUT = 30000; // Save whatever was entered after this long without a pick
+const LEADERBOARD_TABLES = ["daily", "allTime", "all"]; // Names clearLeaderboard accepts
+let leaderboard = { allTime: [], daily: { date: "", entries: [] } };
+let initialsEntry = null; // { letters, dwellCell, dwellStart, lastActivity } while entering initials
+let lastLeaderboardEntry = null; // Highlighted on the waiting screen
+let gameOverQualifies = false; // Whether the finished game makes the leaderboard - checked once at game over
+const GAME_OVER_DELAY = 3000; // ms the game over screen shows before initials entry or the waiting screen
+let gameOverUntil = 0; // Simulation time the game over screen ends
+
+// Camera/projector calibration - see CALIBRATION
+const CALIBRATION_STORAGE_KEY = "motionGame.calibration";
+const CALIBRATION_TARGETS = [[0.1, 0.1], [0.9, 0.1], [0.9, 0.9], [0.1, 0.9]]; // Normalized canvas points
+const CALIBRATION_STILL_RADIUS = 30; // px a wrist may drift while held on a target
+let calibration = null; // { matrix, points, targets } once calibrated
+let calibrationSession = null; // { points, dwellStart, dwellX, dwellY } while in the calibrating state
+
 // Level variables
 let currentLevel = 1;
-let levelBallCount = 5;
-let levelSpeed = 1;
-let levelBallSize = 40;
+let levelHits = 0; // Balls hit since the current level started
+let levelScore = 0; // Points scored since the current level started
+let levelStartTime = 0; // simulationTime when the current level started
+
+// Ball types - points per hit, hits needed, look, and special behaviour
+const BALL_TYPES = {
+  normal:   { points: 1,  hits: 1, color: [0, 0, 139] },     // Dark blue
+  bonus:    { points: 5,  hits: 1, color: [255, 200, 0] },   // Gold, worth more
+  bomb:     { points: -3, hits: 1, color: [40, 40, 40], hazard: true, lifeCost: 1 }, // Costs points and a life
+  multiHit: { points: 3,  hits: 3, color: [120, 0, 160] },   // Needs several hits
+  splitter: { points: 1,  hits: 1, color: [0, 150, 120], splitInto: 2 } // Splits when hit
+};
+const HIT_COOLDOWN = 300; // ms before the same ball can be hit again (multi-hit and split balls)
+
+// Built-in levels, used until levels.json (or a TD "loadLevels" message) replaces them
+const DEFAULT_LEVELS = [
+  {
+    level: 1,
+    spawnInterval: 1000, // ms between new balls
+    ballCount: 5,        // Balls at level start, and the minimum kept falling
+    maxBalls: 15,        // Never more than this many balls at once
+    speed: [1, 4],       // [min, max] fall speed per tick
+    size: [30, 50],      // [min, max] diameter in px
+    ballTypes: { normal: 1 }, // Relative spawn weights per ball type
+    winCondition: { type: "clear" } // clear, hits, score or time
+  }
+];
+const WIN_CONDITION_TYPES = ["clear", "hits", "score", "time"];
+let levelDefinitions = DEFAULT_LEVELS;
+let activeLevel = DEFAULT_LEVELS[0];
 
 // Camera permission and UI state variables
 let cameraPermissionState = "waiting"; // waiting, granted, denied, error
 
 // Optimized position history for smoothing (smaller history length for less memory use)
 const HISTORY_LENGTH = 5; // Reduced from 8
-let positionHistory = {
-  leftWrist: [],
-  rightWrist: []
+let positionHistory = {}; // Keyed by "<playerId>:<keypoint>"
+
+// Smoothing filter applied to every keypoint - weighted (moving average), oneEuro or kalman
+let smoothingFilter = "weighted";
+const SMOOTHING_PARAMS = {
+  weighted: {},
+  oneEuro: { minCutoff: 1.0, beta: 0.007, dCutoff: 1.0 }, // Hz, Hz per px/s of speed, Hz
+  kalman: { processNoise: 1000000, measurementNoise: 25 } // (px/s^2)^2 acceleration, px^2 jitter
+};
+let filterState = {}; // Per-filter state, keyed like positionHistory
+
+// Swipe settings - wrist velocity comes from the same history, in px per second
+let minSwipeSpeed = 0; // Hits need at least this wrist speed (0 = any touch counts)
+const FLY_OFF_SCALE = 0.012; // Ball speed per tick for each px/s of swipe speed
+const MAX_FLY_OFF_SPEED = 30; // Cap so hard swipes don't teleport balls off screen
+
+// Body keypoints in the order ml5 bodyPose returns them (17-point skeleton)
+const KEYPOINT_NAMES = [
+  "nose", "leftEye", "rightEye", "leftEar", "rightEar",
+  "leftShoulder", "rightShoulder", "leftElbow", "rightElbow",
+  "leftWrist", "rightWrist", "leftHip", "rightHip",
+  "leftKnee", "rightKnee", "leftAnkle", "rightAnkle"
+];
+
+// Keypoints that drive a player's hitter on each side - wrists, or index fingertips in hands mode
+const HITTER_SIDES = { leftWrist: "left", rightWrist: "right", leftIndexTip: "left", rightIndexTip: "right" };
+
+// Hand landmarks in the order ml5 handPose returns them (21 points per hand)
+const HAND_LANDMARK_NAMES = [
+  "wrist", "thumbCmc", "thumbMcp", "thumbIp", "thumbTip",
+  "indexFingerMcp", "indexFingerPip", "indexFingerDip", "indexFingerTip",
+  "middleFingerMcp", "middleFingerPip", "middleFingerDip", "middleFingerTip",
+  "ringFingerMcp", "ringFingerPip", "ringFingerDip", "ringFingerTip",
+  "pinkyFingerMcp", "pinkyFingerPip", "pinkyFingerDip", "pinkyFingerTip"
+];
+const HAND_CONFIDENCE_THRESHOLD = 0.5;
+const PINCH_THRESHOLD = 0.35; // Thumb-index gap as a fraction of hand size that counts as a pinch
+
+// Named keypoint subsets that can be streamed to TouchDesigner
+const KEYPOINT_SUBSETS = {
+  all: KEYPOINT_NAMES,
+  wrists: ["leftWrist", "rightWrist"],
+  head: ["nose", "leftEye", "rightEye", "leftEar", "rightEar"],
+  upperBody: ["nose", "leftShoulder", "rightShoulder", "leftElbow", "rightElbow", "leftWrist", "rightWrist"],
+  torso: ["leftShoulder", "rightShoulder", "leftHip", "rightHip"],
+  core: ["nose", "leftShoulder", "rightShoulder", "leftWrist", "rightWrist", "leftHip", "rightHip", "leftAnkle", "rightAnkle"]
 };
 
+const KEYPOINT_CONFIDENCE_THRESHOLD = 0.2; // Ignore keypoints below this confidence
+let streamedKeypoints = KEYPOINT_SUBSETS.wrists; // Wrists only by default
+
+// Multi-player tracking
+let maxPlayers = 1; // Number of people tracked at once
+const MAX_PLAYERS_LIMIT = 6;
+const PLAYER_MATCH_DISTANCE = 250; // Max centroid jump (px) that keeps a player's ID
+const PLAYER_TIMEOUT = 1500; // Forget players not seen for this long (ms)
+const PLAYER_COLORS = [
+  [255, 255, 0],  // Yellow
+  [0, 255, 255],  // Cyan
+  [255, 0, 255],  // Magenta
+  [0, 255, 0],    // Green
+  [255, 128, 0],  // Orange
+  [128, 128, 255] // Lavender
+];
+let players = []; // Tracked players, oldest first
+let nextPlayerId = 1;
+let nextPlayerColor = 0; // Colours go round in creation order - TD IDs may be 0 or strings
+
+// Deterministic simulation - seeded randomness and a fixed timestep
+const FIXED_TIMESTEP = 1000 / 60; // Game logic always advances in 60 Hz ticks
+const MAX_STEPS_PER_FRAME = 5; // Drop time after long stalls instead of fast-forwarding
+let simulationSeed = Math.floor(Math.random() * 4294967296);
+let rngState = simulationSeed;
+let simulationTick = 0; // Completed logic steps
+let simulationTime = 0; // Simulated ms - use instead of millis() in game logic
+let timestepAccumulator = 0;
+let lastFrameTime = 0;
+
+// Session recording and replay
+const RECORDING_VERSION = 1;
+let sessionRecorder = { recording: false, startTime: 0, startTick: 0, events: [] };
+let sessionReplay = { active: false, recording: null, index: 0, startTick: 0, scaleX: 1, scaleY: 1, pointers: [] };
+
 // Particle and visual effects
 let particles = [];
 let scoreTexts = [];
-const MAX_PARTICLES = 30; // Limit maximum particles for performance
+let streakBanners = []; // Big on-screen messages for streak milestones
 const MAX_SCORE_TEXTS = 15; // Limit score text elements
 
 // Throttling variables for optimization
 let lastRenderTime = 0;
 const RENDER_THROTTLE = 0; // No throttling by default, increase if needed (e.g., 16 for 60fps cap)
 let lastTouchDesignerUpdateTime = 0;
-const TD_UPDATE_INTERVAL = 33; // ~30fps update rate to TouchDesigner
 
 // Create a global object to expose tracking data to TouchDesigner
 window.trackingData = {
-  wrists: { left: { x: 0, y: 0, active: false }, right: { x: 0, y: 0, active: false } },
+  wrists: createWristState(),
   keypoints: [],
+  hands: { left: null, right: null },
+  players: [],
+  gestures: [], // Gestures recognised since the last trackingDataUpdated event
   score: 0,
+  lives: 3,
+  combo: { count: 0, multiplier: 1 },
   level: 1,
   balls: [],
   modelStatus: "initializing",
+  connectionState: "idle",
   gameState: gameState
 };
 
@@ -65,12 +216,49 @@ let statusDiv;
 
 // Auto-connection variables
 let touchDesignerAutoConnect = true;
-let touchDesignerReconnectAttempts = 0;
+let touchDesignerReconnectAttempts = 0; // Failed dials since the last open connection
 let touchDesignerCheckInterval;
 let touchDesignerLastPing = 0;
 let touchDesignerWebSocket = null;
 let webSocketConnected = false;
-let touchDesignerPort = 7000;
+
+// WebSocket connection manager - where TD listens, and how to keep trying until it's there
+let touchDesignerEndpoint = {
+  protocol: window.location.protocol === "https:" ? "wss" : "ws", // Pages served over https can only dial wss
+  host: "localhost",
+  port: 7000,
+  path: "/"
+};
+let connectionState = "idle"; // idle, connecting, open, backoff, closed
+const CONNECTION_STATES = ["idle", "connecting", "open", "backoff", "closed"];
+const RECONNECT_BASE_DELAY = 500; // ms before the first retry - doubles after each failure
+const RECONNECT_MAX_DELAY = 30000; // Retry at least this often, however long TD has been away
+const CONNECT_TIMEOUT = 5000; // ms a dial may hang (e.g. unreachable LAN host) before it's abandoned
+let reconnectTimer = null;
+let connectTimeoutTimer = null;
+let handshakeTimer = null;
+let touchDesignerOutputFormat = "json"; // json (default) or osc (binary OSC bundles)
+
+// Protocol handshake state for the current WebSocket connection
+const PROTOCOL_VERSION = "1.0"; // major.minor - peers must share the major version
+let touchDesignerSession = {
+  protocolVersion: null, // set once TD replies to the handshake with "hello"
+  subscriptions: null,   // null means TD receives every message type
+  acks: false,           // true once TD asks to acknowledge game events in "hello"
+  binaryTracking: false, // true once TD asks for binary tracking frames in "config"
+  ready: false,          // true after "hello", or HANDSHAKE_TIMEOUT for peers that never send one
+  coordinates: { space: "pixels", origin: "topLeft", mirror: false } // See COORDINATE SPACES
+};
+
+// Outbound queue - game events wait here until delivered, tracking frames only keep the latest
+const MAX_QUEUED_EVENTS = 500; // Oldest events are dropped past this during a long outage
+const ACK_TIMEOUT = 2000; // ms before an unacknowledged event is sent again
+const HANDSHAKE_TIMEOUT = 3000; // ms to wait for "hello" before queued events go out without acks
+const TRACKING_BUFFER_LIMIT = 65536; // Bytes still waiting in the socket before tracking frames are held back
+let outboundQueue = []; // { seq, data, sentAt } oldest first
+let outboundSeq = 0;
+let pendingTrackingUpdate = null; // Latest unsent trackingUpdate - newer frames replace it
+let bufferOutboundEvents = false; // Set on the first connection - later disconnects are buffered
 
 // Check if ml5 library is available
 let ml5Available = (typeof ml5 !== 'undefined');
@@ -112,14 +300,17 @@ window.touchDesignerConnect = function() {
 window.getTrackingData = function() {
   // Only include essential data to reduce payload size
   const essentialData = {
-    wrists: window.trackingData.wrists,
+    wrists: formatWrists(window.trackingData.wrists),
+    keypoints: formatKeypoints(window.trackingData.keypoints),
+    hands: formatHands(window.trackingData.hands),
+    players: formatPlayers(window.trackingData.players),
     score: window.trackingData.score,
+    lives: window.trackingData.lives,
+    combo: window.trackingData.combo,
     level: window.trackingData.level,
     gameState: window.trackingData.gameState,
     // Only send ball positions if they've changed since last update
-    balls: window.trackingData.balls.map(ball => ({
-      x: Math.round(ball.x), // Round to integers to reduce data size
-      y: Math.round(ball.y),
+    balls: window.trackingData.balls.map(ball => Object.assign({ id: ball.id }, toOutputPoint(ball.x, ball.y), {
       touched: ball.touched
     }))
   };
@@ -128,57 +319,123 @@ window.getTrackingData = function() {
 };
 
 // TouchDesigner calls this to set wrist positions from external motion sensors
-window.setWristFromTouchDesigner = function(wrist, x, y, active = true) {
+window.setWristFromTouchDesigner = function(wrist, x, y, active = true, playerId = 1) {
+  // A running replay owns the input until it finishes
+  if (sessionReplay.active) return "Ignored during replay";
+  
+  // Positions arrive in the connection's coordinate space - record and play them in canvas pixels
+  const point = fromInputPoint(x, y);
+  recordSessionInput({ kind: "wrist", wrist: wrist, x: point.x, y: point.y, active: active, playerId: playerId });
+  return applyWristInput(wrist, point.x, point.y, active, playerId);
+};
+
+// Apply a wrist position from TouchDesigner (live or replayed)
+function applyWristInput(wrist, x, y, active = true, playerId = 1) {
   useTouchDesignerSensors = true; // Switch to TouchDesigner mode
   
-  if (wrist === "left") {
-    // Apply smoothing with less computation
-    const smoothed = smoothPosition(x, y, 'leftWrist');
-    window.trackingData.wrists.left.x = smoothed.x;
-    window.trackingData.wrists.left.y = smoothed.y;
-    window.trackingData.wrists.left.active = active;
-  } else if (wrist === "right") {
-    // Apply smoothing with less computation
-    const smoothed = smoothPosition(x, y, 'rightWrist');
-    window.trackingData.wrists.right.x = smoothed.x;
-    window.trackingData.wrists.right.y = smoothed.y;
-    window.trackingData.wrists.right.active = active;
-  }
-  
-  // Check for start gesture if in waiting state
-  if (gameState === "waiting") {
-    checkStartGesture();
+  if (wrist === "left" || wrist === "right") {
+    // TD supplies player IDs directly, so no identity matching is needed
+    const player = getOrCreatePlayer(playerId);
+    
+    // Apply smoothing and keep the streamed keypoint list in sync
+    updateKeypoint(player, wrist + "Wrist", x, y, active ? 1 : 0);
+    player.wrists[wrist].active = active;
+    refreshStreamedKeypoints(player);
+    refreshTrackingPlayers();
   }
   
   return "Wrist position set: " + wrist;
-};
+}
 
 // Set a specific keypoint from TouchDesigner
-window.setKeypointFromTouchDesigner = function(part, x, y, confidence = 0.8) {
-  // Find if this keypoint already exists
-  let found = false;
-  
-  for (let i = 0; i < window.trackingData.keypoints.length; i++) {
-    if (window.trackingData.keypoints[i].part === part) {
-      window.trackingData.keypoints[i].x = x;
-      window.trackingData.keypoints[i].y = y;
-      window.trackingData.keypoints[i].confidence = confidence;
-      found = true;
-      break;
+window.setKeypointFromTouchDesigner = function(part, x, y, confidence = 0.8, playerId = 1) {
+  if (sessionReplay.active) return "Ignored during replay";
+  
+  const point = fromInputPoint(x, y);
+  recordSessionInput({ kind: "keypoint", part: part, x: point.x, y: point.y, confidence: confidence, playerId: playerId });
+  return applyKeypointInput(part, point.x, point.y, confidence, playerId);
+};
+
+// Apply a keypoint from TouchDesigner (live or replayed)
+function applyKeypointInput(part, x, y, confidence = 0.8, playerId = 1) {
+  const player = getOrCreatePlayer(playerId);
+  
+  // Smooth through the same per-keypoint history as browser detection
+  updateKeypoint(player, part, x, y, confidence);
+  refreshStreamedKeypoints(player);
+  refreshTrackingPlayers();
+  
+  return "Keypoint set: " + part;
+}
+
+// TouchDesigner calls this to read the calibration matrix (null when uncalibrated)
+window.getCalibrationMatrix = function() {
+  return JSON.stringify(calibration);
+};
+
+// TouchDesigner calls this to push a calibration: { matrix: [9 numbers] } or { points: [[x, y] x4] }
+window.setCalibrationMatrix = function(data) {
+  if (typeof data === "string") {
+    try {
+      data = JSON.parse(data);
+    } catch (e) {
+      return "Error: calibration is not valid JSON (" + e.message + ")";
     }
   }
+  const result = setCalibration(data);
+  return result.error ? "Error: " + result.error : "Calibration applied";
+};
+
+// TouchDesigner calls this with pointers from any other sensor (e.g. a depth camera)
+// Each pointer is { name, x, y, playerId?, confidence? } in the connection's coordinate space
+window.setPointersFromTouchDesigner = function(source, pointers) {
+  if (sessionReplay.active) return "Ignored during replay";
+  
+  if (inputProviders[source] && !inputProviders[source].external) {
+    return "Error: " + source + " is a built-in input provider";
+  }
+  const valid = Array.isArray(pointers) && pointers.every(pointer =>
+    pointer && typeof pointer.name === "string" && Number.isFinite(pointer.x) && Number.isFinite(pointer.y));
+  if (!valid) {
+    return "Error: every pointer needs a name, x and y";
+  }
   
-  // If not found, add it
-  if (!found) {
-    window.trackingData.keypoints.push({
-      part: part,
-      x: x,
-      y: y,
-      confidence: confidence
-    });
+  const mapped = pointers.map(pointer => Object.assign({}, pointer, fromInputPoint(pointer.x, pointer.y)));
+  recordSessionInput({ kind: "pointers", source: source, pointers: mapped });
+  applyExternalPointers(source, mapped);
+  return "Pointers set: " + source;
+};
+
+// Choose the coordinate space TouchDesigner sends and receives positions in
+window.setTouchDesignerCoordinates = function(options) {
+  const result = setCoordinateSpace(options);
+  if (result.error) {
+    return "Error: " + result.error;
+  }
+  sendCoordinateSpace();
+  return JSON.stringify(describeCoordinateSpace());
+};
+
+// Choose which keypoints are streamed: "all", a KEYPOINT_SUBSETS name or an array of names
+window.setStreamedKeypoints = function(selection) {
+  let names;
+  if (Array.isArray(selection)) {
+    names = selection.filter(name => KEYPOINT_NAMES.includes(name));
+  } else if (KEYPOINT_SUBSETS[selection]) {
+    names = KEYPOINT_SUBSETS[selection];
+  } else {
+    return "Error: unknown keypoint selection " + selection;
   }
   
-  return "Keypoint set: " + part;
+  streamedKeypoints = names;
+  players.forEach(refreshStreamedKeypoints);
+  refreshTrackingPlayers();
+  
+  // Binary frames carry one slot per streamed keypoint - tell TD the new layout
+  if (touchDesignerSession.binaryTracking) {
+    sendTrackingLayout();
+  }
+  return "Streaming " + names.length + " keypoints";
 };
 
 // Reset to browser-based pose detection
@@ -194,95 +451,535 @@ window.useBuiltInPoseDetection = function() {
   return "Switched to built-in pose detection";
 };
 
+// TouchDesigner calls this to read the leaderboard
+window.getLeaderboard = function() {
+  return JSON.stringify(getLeaderboardData());
+};
+
+// TouchDesigner calls this to clear the daily table, the all-time table or both
+window.clearLeaderboard = function(table = "all") {
+  if (!clearLeaderboardTable(table)) {
+    return "Error: table must be one of " + LEADERBOARD_TABLES.join(", ");
+  }
+  return "Leaderboard cleared: " + table;
+};
+
 // Force start the game from TouchDesigner
 window.forceStartGame = function() {
   if (gameState === "waiting") {
-    startGame();
+    startGameFromInput();
   }
   return "Game started";
 };
 
+// Messages the sketch sends, with the fields each one carries
+const OUTBOUND_MESSAGES = {
+  connection: ["status", "dimensions", "coordinates", "protocolVersion", "capabilities"],
+  helloAck: ["protocolVersion", "subscribe", "outputFormat", "coordinates", "acks"],
+  coordinateSpace: ["coordinates"],
+  calibration: ["calibration"],
+  trackingLayout: ["layout"],
+  canvasFrame: ["format", "width", "height", "frame", "timestamp", "image"], // Binary - see CANVAS STREAMING
+  error: ["code", "message", "ref"],
+  ping: [],
+  pong: [],
+  trackingUpdate: ["data"],
+  levelsLoaded: ["count", "source", "seq", "timestamp"],
+  ballHit: ["ballId", "position", "ballType", "points", "hitsLeft", "destroyed", "combo", "multiplier", "score", "lives",
+    "playerId", "playerScore", "impactSpeed", "impactAngle", "seq", "timestamp"],
+  streakMilestone: ["combo", "multiplier", "playerId", "seq", "timestamp"],
+  highScore: ["initials", "score", "level", "dailyRank", "allTimeRank", "seq", "timestamp"],
+  gesture: ["gesture", "playerId", "hand", "action", "seq", "timestamp"],
+  leaderboard: ["date", "daily", "allTime"],
+  config: ["settings", "schema"],
+  ballMissed: ["ballId", "position", "ballType", "lives", "seq", "timestamp"],
+  ballState: ["balls"], // Logic-only mode - see LOGIC-ONLY MODE
+  effectSpawn: ["effect", "position", "color", "count", "label", "size", "duration", "timestamp"],
+  levelChange: ["level", "definition", "seq", "timestamp"],
+  gameOver: ["score", "level", "seq", "timestamp"],
+  gameStateChange: ["state", "seq", "timestamp"]
+};
+
+// Game events - sequence-numbered, queued through disconnects and resent until TD acks them
+const RELIABLE_MESSAGES = ["levelsLoaded", "ballHit", "streakMilestone", "highScore", "gesture", "ballMissed",
+  "levelChange", "gameOver", "gameStateChange"];
+
+// Messages that are always delivered, regardless of TD's subscriptions
+const CONTROL_MESSAGES = ["connection", "helloAck", "error", "ping", "pong", "leaderboard", "coordinateSpace", "calibration",
+  "config", "trackingLayout"];
+
+// Messages the sketch accepts, with their required fields and field types
+const INBOUND_MESSAGES = {
+  hello: { protocolVersion: "string" },
+  ack: { seq: "number" },
+  ping: {},
+  pong: {},
+  setWrist: { data: "object" },
+  setPointers: { data: "object" },
+  config: { data: "object" },
+  getConfig: {},
+  loadLevels: { data: "object" },
+  getLeaderboard: {},
+  clearLeaderboard: {},
+  startCalibration: {},
+  setCalibration: { data: "object" },
+  getCalibration: {},
+  clearCalibration: {},
+  startGame: {},
+  resetGame: {},
+  pauseGame: {},
+  resumeGame: {}
+};
+
+// Describe what this sketch can send and receive for the handshake
+function getProtocolCapabilities() {
+  const inbound = {};
+  Object.keys(INBOUND_MESSAGES).forEach(type => {
+    inbound[type] = Object.keys(INBOUND_MESSAGES[type]);
+  });
+  
+  return {
+    outbound: OUTBOUND_MESSAGES,
+    inbound: inbound,
+    outputFormats: ["json", "osc"],
+    binaryTrackingVersion: BINARY_FRAME_VERSION,
+    canvasFrameVersion: CANVAS_FRAME_VERSION,
+    reliableMessages: RELIABLE_MESSAGES,
+    coordinateSpaces: COORDINATE_SPACES,
+    coordinateOrigins: COORDINATE_ORIGINS
+  };
+}
+
+// Check an incoming message against INBOUND_MESSAGES - returns an error or null
+function validateTouchDesignerMessage(message) {
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    return { code: "invalidMessage", message: "Message must be a JSON object" };
+  }
+  if (typeof message.type !== "string") {
+    return { code: "missingType", message: "Message has no \"type\" field" };
+  }
+  
+  const schema = INBOUND_MESSAGES[message.type];
+  if (!schema) {
+    return { code: "unknownType", message: "Unknown message type: " + message.type };
+  }
+  
+  for (const field in schema) {
+    const value = message[field];
+    const actualType = value === null ? "null" : typeof value;
+    if (actualType !== schema[field]) {
+      return {
+        code: "invalidField",
+        message: `Field "${field}" of "${message.type}" must be ${schema[field]}, got ${actualType}`
+      };
+    }
+  }
+  
+  return null;
+}
+
+// Reply to TouchDesigner with an explicit protocol error
+function sendProtocolError(code, text, ref) {
+  console.warn("TouchDesigner protocol error (" + code + "): " + text);
+  sendWebSocketData({
+    type: "error",
+    code: code,
+    message: text,
+    ref: ref !== undefined ? ref : null
+  });
+}
+
+// Handle TD's reply to the handshake - agree on version, subscriptions and format
+function handleHelloMessage(message) {
+  const ourMajor = PROTOCOL_VERSION.split(".")[0];
+  const theirMajor = message.protocolVersion.split(".")[0];
+  
+  if (ourMajor !== theirMajor) {
+    sendProtocolError(
+      "unsupportedVersion",
+      `Protocol ${message.protocolVersion} is not compatible with ${PROTOCOL_VERSION}`,
+      "hello"
+    );
+    return;
+  }
+  
+  // Only accept subscriptions to message types we actually send
+  let subscriptions = null;
+  if (message.subscribe !== undefined) {
+    if (!Array.isArray(message.subscribe)) {
+      sendProtocolError("invalidField", "Field \"subscribe\" of \"hello\" must be an array", "hello");
+      return;
+    }
+    const unknown = message.subscribe.filter(type => !OUTBOUND_MESSAGES[type]);
+    if (unknown.length > 0) {
+      sendProtocolError("unknownSubscription", "Cannot subscribe to: " + unknown.join(", "), "hello");
+      return;
+    }
+    subscriptions = message.subscribe;
+  }
+  
+  if (message.outputFormat !== undefined && !setOutputFormat(message.outputFormat)) {
+    sendProtocolError("invalidField", "Unknown output format: " + message.outputFormat, "hello");
+    return;
+  }
+  
+  // Optional coordinate space for this connection: { space, origin, mirror }
+  if (message.coordinates !== undefined) {
+    const result = setCoordinateSpace(message.coordinates);
+    if (result.error) {
+      sendProtocolError("invalidField", result.error, "hello");
+      return;
+    }
+  }
+  
+  touchDesignerSession.protocolVersion = message.protocolVersion;
+  touchDesignerSession.subscriptions = subscriptions;
+  touchDesignerSession.acks = message.acks === true; // TD will reply "ack" with the highest seq it has
+  touchDesignerSession.ready = true;
+  clearTimeout(handshakeTimer);
+  updateStatusText("TouchDesigner handshake complete (protocol " + message.protocolVersion + ")");
+  
+  sendWebSocketData({
+    type: "helloAck",
+    protocolVersion: PROTOCOL_VERSION,
+    subscribe: subscriptions || Object.keys(OUTBOUND_MESSAGES),
+    outputFormat: touchDesignerOutputFormat,
+    coordinates: describeCoordinateSpace(),
+    acks: touchDesignerSession.acks
+  });
+  flushOutboundQueue();
+}
+
+// Full WebSocket URL for the current endpoint
+function getTouchDesignerUrl() {
+  const endpoint = touchDesignerEndpoint;
+  return `${endpoint.protocol}://${endpoint.host}:${endpoint.port}${endpoint.path}`;
+}
+
+// Move the connection manager to a new state - shown in the status div and sent to the page
+function setConnectionState(state, detail = {}) {
+  connectionState = state;
+  webSocketConnected = state === "open";
+  window.trackingData.connectionState = state;
+  
+  const url = getTouchDesignerUrl();
+  if (state === "connecting") {
+    updateStatusText("Connecting to TouchDesigner at " + url +
+      (touchDesignerReconnectAttempts > 0 ? " (attempt " + (touchDesignerReconnectAttempts + 1) + ")" : "") + "...");
+  } else if (state === "open") {
+    updateStatusText("TouchDesigner WebSocket connected at " + url);
+  } else if (state === "backoff") {
+    updateStatusText(`TouchDesigner not reachable at ${url}. Retrying in ${(detail.retryIn / 1000).toFixed(1)}s...`);
+  } else if (state === "closed") {
+    updateStatusText("TouchDesigner WebSocket closed");
+  }
+  
+  window.dispatchEvent(new CustomEvent("connectionState", {
+    detail: Object.assign({ state: state, url: url, attempts: touchDesignerReconnectAttempts }, detail)
+  }));
+}
+
+// Connection manager status for TD scripts and the page
+function getConnectionInfo() {
+  return {
+    state: connectionState,
+    url: getTouchDesignerUrl(),
+    endpoint: Object.assign({}, touchDesignerEndpoint),
+    attempts: touchDesignerReconnectAttempts,
+    autoConnect: touchDesignerAutoConnect
+  };
+}
+
+// Stop waiting on a pending retry or dial
+function clearConnectionTimers() {
+  clearTimeout(reconnectTimer);
+  clearTimeout(connectTimeoutTimer);
+  clearTimeout(handshakeTimer);
+  reconnectTimer = null;
+  connectTimeoutTimer = null;
+  handshakeTimer = null;
+}
+
+// Drop the current socket without triggering a retry
+function discardWebSocket() {
+  if (!touchDesignerWebSocket) return;
+  
+  const socket = touchDesignerWebSocket;
+  touchDesignerWebSocket = null;
+  socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+  if (socket.readyState !== WebSocket.CLOSED) {
+    socket.close();
+  }
+}
+
 // Initialize WebSocket connection to TouchDesigner - OPTIMIZED for reliability
 function initWebSocketConnection() {
+  clearConnectionTimers();
+  discardWebSocket();
+  
+  let socket;
   try {
-    // Close existing connection if there is one
-    if (touchDesignerWebSocket && touchDesignerWebSocket.readyState !== WebSocket.CLOSED) {
-      touchDesignerWebSocket.close();
+    socket = new WebSocket(getTouchDesignerUrl());
+    socket.binaryType = "arraybuffer";
+  } catch (e) {
+    // Bad URL or blocked scheme - still keep retrying, the endpoint may be changed
+    console.error("Failed to initialize WebSocket:", e);
+    scheduleReconnect();
+    return;
+  }
+  touchDesignerWebSocket = socket;
+  setConnectionState("connecting");
+  
+  // A host that's down on the LAN can leave the dial hanging - give up and back off
+  connectTimeoutTimer = setTimeout(function() {
+    if (touchDesignerWebSocket === socket && connectionState === "connecting") {
+      discardWebSocket();
+      scheduleReconnect();
     }
+  }, CONNECT_TIMEOUT);
+  
+  socket.onopen = function() {
+    console.log("WebSocket connection established to TouchDesigner!");
+    clearConnectionTimers();
+    isTouchDesignerConnected = true;
+    touchDesignerReconnectAttempts = 0;
+    setConnectionState("open");
     
-    // Create new WebSocket connection
-    const wsUrl = `ws://localhost:${touchDesignerPort}`;
-    touchDesignerWebSocket = new WebSocket(wsUrl);
-    
-    touchDesignerWebSocket.onopen = function() {
-      console.log("WebSocket connection established to TouchDesigner!");
-      webSocketConnected = true;
-      isTouchDesignerConnected = true;
-      updateStatusText("TouchDesigner WebSocket connected on port " + touchDesignerPort);
-      touchDesignerReconnectAttempts = 0;
-      
-      // Send initial data to confirm connection - SMALLER PAYLOAD
-      sendWebSocketData({
-        type: "connection",
-        status: "connected",
-        dimensions: [containerWidth, containerHeight]
-      });
+    // Each connection starts a fresh handshake
+    touchDesignerSession = {
+      protocolVersion: null,
+      subscriptions: null,
+      acks: false,
+      binaryTracking: false,
+      ready: false,
+      coordinates: { space: "pixels", origin: "topLeft", mirror: false }
     };
     
-    touchDesignerWebSocket.onmessage = function(event) {
-      try {
-        const message = JSON.parse(event.data);
-        handleTouchDesignerMessage(message);
-      } catch (e) {
-        console.error("Error parsing TouchDesigner message:", e);
-      }
-    };
+    // Announce our protocol version and capabilities - TD answers with "hello"
+    sendWebSocketData({
+      type: "connection",
+      status: "connected",
+      dimensions: [containerWidth, containerHeight],
+      coordinates: describeCoordinateSpace(),
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: getProtocolCapabilities()
+    });
     
-    touchDesignerWebSocket.onclose = function() {
-      webSocketConnected = false;
-      if (touchDesignerAutoConnect && touchDesignerReconnectAttempts < 5) { // Reduced reconnect attempts
-        touchDesignerReconnectAttempts++;
-        updateStatusText(`TouchDesigner WebSocket disconnected. Retrying...`);
-        setTimeout(initWebSocketConnection, 2000);
+    // Whatever happened while TD was away goes out again once "hello" says whether TD acks -
+    // peers that never send one get it without acks after HANDSHAKE_TIMEOUT
+    bufferOutboundEvents = true;
+    outboundQueue.forEach(entry => entry.sentAt = null);
+    handshakeTimer = setTimeout(function() {
+      if (touchDesignerWebSocket === socket && !touchDesignerSession.ready) {
+        touchDesignerSession.ready = true;
+        flushOutboundQueue();
       }
-    };
+    }, HANDSHAKE_TIMEOUT);
+  };
+  
+  socket.onmessage = function(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      sendProtocolError("malformedJson", "Could not parse message: " + e.message);
+      return;
+    }
     
-    touchDesignerWebSocket.onerror = function(error) {
-      console.error("WebSocket error:", error);
-    };
-  } catch (e) {
-    console.error("Failed to initialize WebSocket:", e);
+    const error = validateTouchDesignerMessage(message);
+    if (error) {
+      sendProtocolError(error.code, error.message, message && message.type);
+      return;
+    }
+    
+    handleTouchDesignerMessage(message);
+  };
+  
+  socket.onclose = function() {
+    if (touchDesignerWebSocket !== socket) return;
+    touchDesignerWebSocket = null;
+    scheduleReconnect();
+  };
+  
+  socket.onerror = function(error) {
+    // A close always follows, which decides whether to retry
+    console.error("WebSocket error:", error);
+  };
+}
+
+// Wait before dialing again - exponential backoff with jitter, retrying forever
+function scheduleReconnect() {
+  clearConnectionTimers();
+  if (!touchDesignerAutoConnect) {
+    setConnectionState("closed");
+    return;
   }
+  
+  const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, touchDesignerReconnectAttempts), RECONNECT_MAX_DELAY);
+  const retryIn = Math.round(delay * (0.8 + Math.random() * 0.4)); // Keep several sketches from dialing in lockstep
+  touchDesignerReconnectAttempts++;
+  
+  setConnectionState("backoff", { retryIn: retryIn });
+  reconnectTimer = setTimeout(initWebSocketConnection, retryIn);
 }
 
-// Send data to TouchDesigner via WebSocket - OPTIMIZED to send less frequently
-function sendWebSocketData(data) {
-  if (webSocketConnected && touchDesignerWebSocket && 
-      touchDesignerWebSocket.readyState === WebSocket.OPEN) {
+// Dial straight away, forgetting earlier failures
+function reconnectWebSocket() {
+  touchDesignerReconnectAttempts = 0;
+  initWebSocketConnection();
+  return getConnectionInfo();
+}
+
+// Close the connection on purpose - nothing is retried until reconnectWebSocket is called
+function closeWebSocket() {
+  clearConnectionTimers();
+  discardWebSocket();
+  setConnectionState("closed");
+  return getConnectionInfo();
+}
+
+// Point the connection manager at a new endpoint - a URL string or any of
+// { protocol: "ws" | "wss", host, port, path }. Redials unless the connection was closed on purpose.
+function setConnectionEndpoint(options) {
+  let endpoint = Object.assign({}, touchDesignerEndpoint);
+  
+  if (typeof options === "string") {
+    let url;
     try {
-      // Only send data if it's essential or if enough time has passed
-      const currentTime = millis();
-      if (data.type === "ping" || data.type === "connection" || 
-          data.type === "gameStateChange" || data.type === "levelChange" ||
-          data.type === "gameOver" || data.type === "ballHit" ||
-          currentTime - lastTouchDesignerUpdateTime > TD_UPDATE_INTERVAL) {
-        
-        // Add timestamp only if really needed
-        if (["ballHit", "levelChange", "gameOver"].includes(data.type)) {
-          data.timestamp = currentTime;
-        }
-        
-        touchDesignerWebSocket.send(JSON.stringify(data));
-        touchDesignerLastPing = currentTime;
-        lastTouchDesignerUpdateTime = currentTime;
-        return true;
-      }
+      url = new URL(options);
     } catch (e) {
-      console.error("Error sending WebSocket data:", e);
-      return false;
+      return { error: "Not a valid URL: " + options };
     }
+    endpoint = {
+      protocol: url.protocol.replace(":", ""),
+      host: url.hostname,
+      port: url.port ? Number(url.port) : (url.protocol === "wss:" ? 443 : 80),
+      path: url.pathname || "/"
+    };
+  } else if (options && typeof options === "object") {
+    if (options.protocol !== undefined) endpoint.protocol = String(options.protocol).replace(/:$/, "");
+    if (options.host !== undefined) endpoint.host = String(options.host);
+    if (options.port !== undefined) endpoint.port = Number(options.port);
+    if (options.path !== undefined) endpoint.path = String(options.path);
+  } else {
+    return { error: "Endpoint must be a URL string or an object" };
+  }
+  
+  if (endpoint.protocol !== "ws" && endpoint.protocol !== "wss") {
+    return { error: "Protocol must be ws or wss, got " + endpoint.protocol };
+  }
+  if (!endpoint.host) {
+    return { error: "Host must not be empty" };
+  }
+  if (!Number.isInteger(endpoint.port) || endpoint.port < 1 || endpoint.port > 65535) {
+    return { error: "Port must be a whole number from 1 to 65535" };
+  }
+  if (!endpoint.path.startsWith("/")) {
+    endpoint.path = "/" + endpoint.path;
+  }
+  
+  touchDesignerEndpoint = endpoint;
+  if (connectionState !== "idle" && connectionState !== "closed") {
+    reconnectWebSocket();
+  }
+  return getConnectionInfo();
+}
+
+// Endpoint from the page URL, e.g. sketch.html?tdUrl=ws://192.168.1.20:9980/ws
+function loadEndpointFromQuery() {
+  const tdUrl = new URLSearchParams(window.location.search).get("tdUrl");
+  if (!tdUrl) return;
+  
+  const result = setConnectionEndpoint(tdUrl);
+  if (result.error) {
+    console.warn("Ignoring tdUrl - " + result.error);
+  }
+}
+
+// Send data to TouchDesigner via WebSocket - game events are queued, tracking frames merged
+function sendWebSocketData(data) {
+  if (RELIABLE_MESSAGES.includes(data.type)) {
+    return queueOutboundEvent(data);
+  }
+  if (data.type === "trackingUpdate") {
+    pendingTrackingUpdate = data;
+    return flushTrackingUpdate();
+  }
+  return transmitWebSocketData(data);
+}
+
+// Respect the message types TD subscribed to in the handshake
+function isSubscribedMessage(type) {
+  return !touchDesignerSession.subscriptions ||
+    CONTROL_MESSAGES.includes(type) ||
+    touchDesignerSession.subscriptions.includes(type);
+}
+
+// Write one message to the open socket - false when it couldn't go out
+function transmitWebSocketData(data) {
+  if (!webSocketConnected || !touchDesignerWebSocket ||
+      touchDesignerWebSocket.readyState !== WebSocket.OPEN || !isSubscribedMessage(data.type)) {
+    return false;
+  }
+  
+  try {
+    touchDesignerWebSocket.send(encodeOutgoingMessage(data));
+    touchDesignerLastPing = millis();
+    return true;
+  } catch (e) {
+    console.error("Error sending WebSocket data:", e);
+    return false;
+  }
+}
+
+// Number a game event and queue it - stamped now, so buffered events keep their real time
+function queueOutboundEvent(data) {
+  if (!webSocketConnected && !bufferOutboundEvents) return false;
+  
+  data.seq = ++outboundSeq;
+  data.timestamp = millis();
+  outboundQueue.push({ seq: data.seq, data: data, sentAt: null });
+  
+  if (outboundQueue.length > MAX_QUEUED_EVENTS) {
+    const dropped = outboundQueue.shift();
+    console.warn("Outbound queue full - dropped " + dropped.data.type + " #" + dropped.seq);
   }
-  return false;
+  
+  flushOutboundQueue();
+  return true;
+}
+
+// Send queued events oldest first - without acks an event is done once sent,
+// with acks it stays queued and is resent every ACK_TIMEOUT until TD confirms it.
+// Nothing goes out before the handshake has settled whether TD acks.
+function flushOutboundQueue() {
+  if (!webSocketConnected || !touchDesignerSession.ready) return;
+  
+  const now = millis();
+  outboundQueue = outboundQueue.filter(entry => {
+    if (!isSubscribedMessage(entry.data.type)) return false; // TD doesn't want these
+    if (entry.sentAt !== null && now - entry.sentAt < ACK_TIMEOUT) return true;
+    if (!transmitWebSocketData(entry.data)) return true;
+    
+    entry.sentAt = now;
+    return touchDesignerSession.acks;
+  });
+}
+
+// TD's "ack" - every event up to and including seq has arrived
+function acknowledgeOutboundEvents(seq) {
+  outboundQueue = outboundQueue.filter(entry => entry.seq > seq);
+}
+
+// Send the latest tracking frame, unless the socket is still busy with earlier data -
+// then it waits and the next frame replaces it
+function flushTrackingUpdate() {
+  if (!pendingTrackingUpdate) return false;
+  if (webSocketConnected && touchDesignerWebSocket.bufferedAmount > TRACKING_BUFFER_LIMIT) return false;
+  
+  const sent = transmitWebSocketData(pendingTrackingUpdate);
+  pendingTrackingUpdate = null;
+  return sent;
 }
 
 // Enhanced function to push data to TouchDesigner - OPTIMIZED for less frequent updates
@@ -290,28 +987,45 @@ function pushDataToTouchDesigner() {
   const currentTime = millis();
   
   // Only update if enough time has passed since last update
-  if (currentTime - lastTouchDesignerUpdateTime > TD_UPDATE_INTERVAL) {
+  if (currentTime - lastTouchDesignerUpdateTime > settings.tdUpdateInterval) {
     // Create a custom event that TouchDesigner can listen for
     const event = new CustomEvent('trackingDataUpdated', { 
       detail: window.trackingData 
     });
     window.dispatchEvent(event);
     
+    // Listeners have seen these gestures - start collecting the next batch
+    window.trackingData.gestures = [];
+    
     // Use WebSocket if available (more reliable)
     if (webSocketConnected) {
       sendWebSocketData({
         type: "trackingUpdate",
         data: {
-          wrists: window.trackingData.wrists,
+          wrists: formatWrists(window.trackingData.wrists),
+          keypoints: formatKeypoints(window.trackingData.keypoints),
+          hands: formatHands(window.trackingData.hands),
+          players: formatPlayers(window.trackingData.players),
           score: window.trackingData.score,
+          lives: window.trackingData.lives,
+          combo: window.trackingData.combo,
           gameState: window.trackingData.gameState
         }
       });
+      
+      // TD draws the balls itself in logic-only mode
+      if (logicOnlyMode) {
+        sendWebSocketData({ type: "ballState", balls: formatBalls(balls) });
+      }
     }
     
     lastTouchDesignerUpdateTime = currentTime;
   }
   
+  // Resend unacknowledged events and any tracking frame held back by a busy socket
+  flushOutboundQueue();
+  flushTrackingUpdate();
+  
   // Ping TouchDesigner less frequently to keep connection alive
   if (webSocketConnected && currentTime - touchDesignerLastPing > 3000) {
     sendWebSocketData({
@@ -322,8 +1036,21 @@ function pushDataToTouchDesigner() {
 
 // Handle incoming messages from TouchDesigner - SIMPLIFIED
 function handleTouchDesignerMessage(message) {
-  // Process different message types
+  // Process different message types (already validated against INBOUND_MESSAGES)
   switch (message.type) {
+    case "hello":
+      handleHelloMessage(message);
+      break;
+      
+    case "pong":
+      // Reply to our keep-alive ping - nothing to do
+      break;
+      
+    case "ack":
+      // Cumulative - TD has every game event up to this sequence number
+      acknowledgeOutboundEvents(message.seq);
+      break;
+      
     case "ping":
       // Respond to keep-alive pings
       sendWebSocketData({ type: "pong" });
@@ -331,13 +1058,28 @@ function handleTouchDesignerMessage(message) {
       
     case "setWrist":
       // Handle direct wrist position updates
-      if (message.data && message.data.wrist) {
+      if (message.data.wrist === "left" || message.data.wrist === "right") {
         window.setWristFromTouchDesigner(
           message.data.wrist,
           message.data.x,
           message.data.y,
-          message.data.active
+          message.data.active,
+          message.data.playerId
         );
+      } else {
+        sendProtocolError("invalidField", "setWrist data.wrist must be \"left\" or \"right\"", "setWrist");
+      }
+      break;
+      
+    case "setPointers":
+      // Pointers from an extra sensor relayed by TD: { source, pointers: [{ name, x, y, ... }] }
+      if (typeof message.data.source !== "string" || !Array.isArray(message.data.pointers)) {
+        sendProtocolError("invalidField", "setPointers needs data.source and a data.pointers array", "setPointers");
+      } else {
+        const result = window.setPointersFromTouchDesigner(message.data.source, message.data.pointers);
+        if (result.startsWith("Error")) {
+          sendProtocolError("invalidField", result, "setPointers");
+        }
       }
       break;
       
@@ -350,24 +1092,170 @@ function handleTouchDesignerMessage(message) {
         if (message.data.debugMode !== undefined) {
           debugMode = message.data.debugMode;
         }
-      }
-      break;
-    
-    case "startGame":
-      // Force start the game from TouchDesigner
-      startGame();
-      break;
-      
-    case "resetGame":
-      // Reset the game
-      resetGame();
-      break;
-  }
-}
-
-// Check for TouchDesigner connection using window properties
-function checkTouchDesignerConnection() {
-  // Skip check if already connected via WebSocket
+        if (message.data.maxPlayers !== undefined) {
+          setMaxPlayers(message.data.maxPlayers);
+        }
+        if (message.data.keypoints !== undefined) {
+          window.setStreamedKeypoints(message.data.keypoints);
+        }
+        if (message.data.smoothing !== undefined) {
+          // smoothing: { filter: "weighted" | "oneEuro" | "kalman", ...filter parameters }
+          const result = typeof message.data.smoothing === "object" && message.data.smoothing !== null ?
+            setSmoothing(message.data.smoothing) : { error: "config data.smoothing must be an object" };
+          if (result.error) {
+            sendProtocolError("invalidField", result.error, "config");
+          }
+        }
+        if (message.data.detectionMode !== undefined && !setDetectionMode(message.data.detectionMode)) {
+          sendProtocolError("invalidField", "Unknown detection mode: " + message.data.detectionMode, "config");
+        }
+        if (message.data.gestures !== undefined) {
+          // gestures: { sensitivity: 1.5, bindings: { clap: "start", wave: null } }
+          const result = configureGestures(message.data.gestures || {});
+          if (result.error) {
+            sendProtocolError("invalidField", result.error, "config");
+          }
+        }
+        if (message.data.minSwipeSpeed !== undefined) {
+          setMinSwipeSpeed(message.data.minSwipeSpeed);
+        }
+        if (message.data.lives !== undefined) {
+          setStartingLives(message.data.lives);
+        }
+        if (message.data.seed !== undefined) {
+          setSimulationSeed(message.data.seed);
+        }
+        if (message.data.record !== undefined) {
+          if (message.data.record) {
+            startRecording();
+          } else {
+            stopRecording();
+          }
+        }
+        if (message.data.replay !== undefined) {
+          // replay: a recording URL, an inline recording object, or false to stop
+          if (message.data.replay === false) {
+            stopReplay();
+          } else if (typeof message.data.replay === "string") {
+            loadReplay(message.data.replay);
+          } else {
+            startReplay(message.data.replay);
+          }
+        }
+        if (message.data.outputFormat !== undefined) {
+          setOutputFormat(message.data.outputFormat);
+        }
+        if (message.data.binaryTracking !== undefined) {
+          // binaryTracking: true sends trackingUpdate as packed frames - see BINARY TRACKING FRAMES
+          setBinaryTracking(message.data.binaryTracking === true);
+        }
+        if (message.data.logicOnly !== undefined) {
+          setLogicOnlyMode(message.data.logicOnly === true);
+        }
+        if (message.data.canvasStream !== undefined) {
+          // canvasStream: { enabled, format, quality, width, height, fps, includeCamera } - see CANVAS STREAMING
+          const result = typeof message.data.canvasStream === "object" && message.data.canvasStream !== null ?
+            setCanvasStream(message.data.canvasStream) : { error: "config data.canvasStream must be an object" };
+          if (result.error) {
+            sendProtocolError("invalidField", result.error, "config");
+          }
+        }
+        if (message.data.inputs !== undefined) {
+          // inputs: { mouse: false, keyboard: true, ... } switches providers on or off
+          Object.keys(message.data.inputs || {}).forEach(name => {
+            if (!setInputProviderEnabled(name, message.data.inputs[name])) {
+              sendProtocolError("invalidField", "Unknown input provider: " + name, "config");
+            }
+          });
+        }
+        if (message.data.coordinates !== undefined) {
+          const result = setCoordinateSpace(message.data.coordinates);
+          if (result.error) {
+            sendProtocolError("invalidField", result.error, "config");
+          } else {
+            sendCoordinateSpace();
+          }
+        }
+        // Registry settings (see SETTINGS_SCHEMA), e.g. { maxParticles: 60, spawnInterval: null }
+        applySettings(message.data).forEach(error => {
+          sendProtocolError("invalidField", error, "config");
+        });
+      }
+      break;
+      
+    case "getConfig":
+      sendConfig();
+      break;
+    
+    case "loadLevels":
+      // Levels inline ({ levels: [...] }) or from a URL ({ url: "..." })
+      if (message.data.url) {
+        loadLevelDefinitions(message.data.url);
+      } else {
+        applyLevelDefinitions(message.data, "touchdesigner");
+      }
+      break;
+      
+    case "getLeaderboard":
+      sendLeaderboard();
+      break;
+      
+    case "clearLeaderboard":
+      // Optional table: "daily", "allTime" or "all" (default)
+      if (!clearLeaderboardTable(message.table || "all")) {
+        sendProtocolError("invalidField", "table must be one of " + LEADERBOARD_TABLES.join(", "), "clearLeaderboard");
+        break;
+      }
+      sendLeaderboard();
+      break;
+      
+    case "startCalibration":
+      startCalibration();
+      break;
+      
+    case "setCalibration": {
+      // Either { matrix: [9 numbers] } or { points: [[x, y] x4] } seen by the camera
+      const result = setCalibration(message.data);
+      if (result.error) {
+        sendProtocolError("invalidCalibration", result.error, "setCalibration");
+      } else {
+        sendCalibration();
+      }
+      break;
+    }
+      
+    case "getCalibration":
+      sendCalibration();
+      break;
+      
+    case "clearCalibration":
+      clearCalibration();
+      sendCalibration();
+      break;
+      
+    case "startGame":
+      // Force start the game from TouchDesigner
+      startGameFromInput();
+      break;
+      
+    case "resetGame":
+      // Reset the game
+      resetGame();
+      break;
+      
+    case "pauseGame":
+      pauseFromInput();
+      break;
+      
+    case "resumeGame":
+      resumeFromInput();
+      break;
+  }
+}
+
+// Check for TouchDesigner connection using window properties
+function checkTouchDesignerConnection() {
+  // Skip check if already connected via WebSocket
   if (webSocketConnected) return;
   
   // Check if TouchDesigner has set a special property
@@ -401,6 +1289,7 @@ window.initTouchDesignerConnection = function() {
   
   // First attempt WebSocket connection if supported
   if (window.WebSocket) {
+    loadEndpointFromQuery();
     initWebSocketConnection();
   }
   
@@ -411,56 +1300,2194 @@ window.initTouchDesignerConnection = function() {
   window.enableTouchDesignerAutoConnect = function(enable) {
     touchDesignerAutoConnect = enable;
     updateStatusText("TouchDesigner auto-connect: " + (enable ? "ENABLED" : "DISABLED"));
+    
+    // Stop a pending retry, or start dialing again
+    if (!enable && connectionState === "backoff") {
+      closeWebSocket();
+    } else if (enable && connectionState === "closed") {
+      reconnectWebSocket();
+    }
     return "Auto-connect " + (enable ? "enabled" : "disabled");
   };
   
   // Expose port configuration
   window.setTouchDesignerPort = function(port) {
-    touchDesignerPort = port;
-    updateStatusText("TouchDesigner port set to: " + port);
-    // Reinitialize the connection with the new port
-    if (webSocketConnected) {
-      touchDesignerWebSocket.close();
-      setTimeout(initWebSocketConnection, 500);
+    const result = setConnectionEndpoint({ port: Number(port) });
+    if (result.error) {
+      return "Error: " + result.error;
     }
+    updateStatusText("TouchDesigner port set to: " + port);
     return "Port set to " + port;
   };
+  
+  // Full endpoint: a URL string or { protocol, host, port, path }
+  window.setTouchDesignerEndpoint = function(options) {
+    const result = setConnectionEndpoint(options);
+    return result.error ? "Error: " + result.error : "Endpoint set to " + result.url;
+  };
+  
+  window.reconnectTouchDesigner = function() {
+    return reconnectWebSocket().state;
+  };
+  
+  window.disconnectTouchDesigner = function() {
+    return closeWebSocket().state;
+  };
+  
+  window.getTouchDesignerConnection = getConnectionInfo;
+};
+
+// Function for position smoothing - runs the selected filter on the keypoint's own state
+function smoothPosition(newX, newY, keypointType) {
+  if (!positionHistory[keypointType]) {
+    positionHistory[keypointType] = [];
+  }
+  
+  // Add new position to history - timestamped so velocity can be measured
+  positionHistory[keypointType].push({x: newX, y: newY, t: simulationTime});
+  
+  // Keep history at fixed length
+  if (positionHistory[keypointType].length > HISTORY_LENGTH) {
+    positionHistory[keypointType].shift();
+  }
+  
+  if (!filterState[keypointType]) {
+    filterState[keypointType] = { t: null };
+  }
+  const state = filterState[keypointType];
+  
+  // Seconds since this keypoint's last sample - one tick if several land on the same tick
+  const dt = state.t === null || simulationTime <= state.t ?
+    FIXED_TIMESTEP / 1000 : (simulationTime - state.t) / 1000;
+  state.t = simulationTime;
+  
+  return SMOOTHING_FILTERS[smoothingFilter](state, newX, newY, dt, positionHistory[keypointType]);
+}
+
+// Weighted moving average over the position history - OPTIMIZED FOR SPEED
+function weightedAverageFilter(state, x, y, dt, history) {
+  // Calculate smoothed position with simpler weighted averaging
+  let smoothedX = 0;
+  let smoothedY = 0;
+  let totalWeight = 0;
+  
+  for (let i = 0; i < history.length; i++) {
+    // Linear weighting - simpler and faster than exponential
+    let weight = i + 1;
+    smoothedX += history[i].x * weight;
+    smoothedY += history[i].y * weight;
+    totalWeight += weight;
+  }
+  
+  return {
+    x: smoothedX / totalWeight,
+    y: smoothedY / totalWeight
+  };
+}
+
+// Smoothing factor of a low-pass filter with the given cutoff frequency
+function lowPassAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+// One Euro filter - heavy smoothing when still, less lag the faster the hand moves
+function oneEuroFilter(state, x, y, dt) {
+  const params = SMOOTHING_PARAMS.oneEuro;
+  if (!state.x) {
+    state.x = { value: x, derivative: 0 };
+    state.y = { value: y, derivative: 0 };
+    return { x: x, y: y };
+  }
+  
+  return {
+    x: oneEuroAxis(state.x, x, dt, params),
+    y: oneEuroAxis(state.y, y, dt, params)
+  };
+}
+
+// One Euro filter step for a single axis
+function oneEuroAxis(axis, value, dt, params) {
+  // Smoothed speed sets the cutoff - fast moves let more of the raw signal through
+  const derivative = (value - axis.value) / dt;
+  axis.derivative += lowPassAlpha(params.dCutoff, dt) * (derivative - axis.derivative);
+  
+  const cutoff = params.minCutoff + params.beta * Math.abs(axis.derivative);
+  axis.value += lowPassAlpha(cutoff, dt) * (value - axis.value);
+  return axis.value;
+}
+
+// Constant-velocity Kalman filter - predicts ahead so fast moves lag less
+function kalmanFilter(state, x, y, dt) {
+  const params = SMOOTHING_PARAMS.kalman;
+  if (!state.x) {
+    state.x = createKalmanAxis(x, params);
+    state.y = createKalmanAxis(y, params);
+    return { x: x, y: y };
+  }
+  
+  return {
+    x: kalmanAxis(state.x, x, dt, params),
+    y: kalmanAxis(state.y, y, dt, params)
+  };
+}
+
+// Kalman state for one axis - position, velocity and their 2x2 covariance
+function createKalmanAxis(value, params) {
+  return {
+    position: value,
+    velocity: 0,
+    p00: params.measurementNoise, p01: 0,
+    p10: 0, p11: params.processNoise
+  };
+}
+
+// Kalman predict and update step for a single axis
+function kalmanAxis(axis, value, dt, params) {
+  // Predict - move along the current velocity, uncertainty grows with acceleration noise
+  const q = params.processNoise;
+  const dt2 = dt * dt;
+  axis.position += axis.velocity * dt;
+  const p00 = axis.p00 + dt * (axis.p01 + axis.p10) + dt2 * axis.p11 + q * dt2 * dt2 / 4;
+  const p01 = axis.p01 + dt * axis.p11 + q * dt2 * dt / 2;
+  const p10 = axis.p10 + dt * axis.p11 + q * dt2 * dt / 2;
+  const p11 = axis.p11 + q * dt2;
+  
+  // Update - blend in the measurement by the Kalman gain
+  const innovation = value - axis.position;
+  const gainPosition = p00 / (p00 + params.measurementNoise);
+  const gainVelocity = p10 / (p00 + params.measurementNoise);
+  axis.position += gainPosition * innovation;
+  axis.velocity += gainVelocity * innovation;
+  axis.p00 = (1 - gainPosition) * p00;
+  axis.p01 = (1 - gainPosition) * p01;
+  axis.p10 = p10 - gainVelocity * p00;
+  axis.p11 = p11 - gainVelocity * p01;
+  return axis.position;
+}
+
+// Available smoothing filters by name
+const SMOOTHING_FILTERS = {
+  weighted: weightedAverageFilter,
+  oneEuro: oneEuroFilter,
+  kalman: kalmanFilter
 };
 
-// Function for position smoothing - OPTIMIZED FOR SPEED
-function smoothPosition(newX, newY, keypointType) {
-  if (!positionHistory[keypointType]) {
-    positionHistory[keypointType] = [];
+// Pick a smoothing filter and/or tune its parameters, e.g. { filter: "oneEuro", beta: 0.01 }
+function setSmoothing(options) {
+  const filter = options.filter !== undefined ? options.filter : smoothingFilter;
+  if (!SMOOTHING_FILTERS[filter]) {
+    return { error: "Unknown smoothing filter: " + filter };
+  }
+  
+  // Check every parameter before changing anything
+  const params = SMOOTHING_PARAMS[filter];
+  const updates = Object.keys(options).filter(key => key !== "filter");
+  for (const key of updates) {
+    if (!(key in params)) {
+      return { error: "Unknown " + filter + " parameter: " + key };
+    }
+    if (typeof options[key] !== "number" || !(options[key] > 0)) {
+      return { error: filter + " parameter " + key + " must be a positive number" };
+    }
+  }
+  
+  updates.forEach(key => {
+    params[key] = options[key];
+  });
+  
+  // Filter states aren't interchangeable, so a new filter starts fresh
+  if (filter !== smoothingFilter) {
+    smoothingFilter = filter;
+    filterState = {};
+  }
+  
+  updateStatusText("Smoothing: " + filter);
+  return { filter: smoothingFilter, params: params };
+}
+
+// Velocity of a keypoint in px per second across its position history
+function getHistoryVelocity(keypointType) {
+  const history = positionHistory[keypointType];
+  if (!history || history.length < 2) return null;
+  
+  const oldest = history[0];
+  const newest = history[history.length - 1];
+  const elapsed = newest.t - oldest.t;
+  if (elapsed <= 0) return null;
+  
+  return {
+    vx: (newest.x - oldest.x) * 1000 / elapsed,
+    vy: (newest.y - oldest.y) * 1000 / elapsed
+  };
+}
+
+// ---------------- PLAYER TRACKING ----------------
+
+// Fresh wrist state for a player (or the idle single-player view)
+function createWristState() {
+  return {
+    left: { x: 0, y: 0, vx: 0, vy: 0, speed: 0, active: false, confidence: 0, timestamp: 0 },
+    right: { x: 0, y: 0, vx: 0, vy: 0, speed: 0, active: false, confidence: 0, timestamp: 0 }
+  };
+}
+
+// Create a tracked player with its own wrists, keypoints, score and colour
+// source is the input provider feeding it - "ml5" or "touchdesigner"
+function createPlayer(id, source) {
+  return {
+    id: id,
+    source: source,
+    color: PLAYER_COLORS[nextPlayerColor++ % PLAYER_COLORS.length],
+    score: 0,
+    combo: createComboState(),
+    wrists: createWristState(),
+    keypointState: {}, // Latest smoothed position and confidence per keypoint name
+    keypoints: [],     // Streamed subset of keypointState
+    hands: { left: null, right: null }, // Landmarks and gesture per hand in hands mode
+    gestures: createGestureState(),
+    centroid: null,
+    velocity: { x: 0, y: 0 },
+    lastSeen: simulationTime
+  };
+}
+
+// Find a player by ID, creating it if needed (TouchDesigner supplies its own IDs)
+function getOrCreatePlayer(id) {
+  // TD may send numeric IDs as strings - "2" and 2 are the same player
+  if (typeof id === "string" && id.trim() !== "" && Number.isInteger(Number(id))) {
+    id = Number(id);
+  }
+  
+  let player = players.find(p => p.id === id);
+  if (!player) {
+    player = createPlayer(id, "touchdesigner");
+    players.push(player);
+    if (typeof id === "number") {
+      nextPlayerId = Math.max(nextPlayerId, id + 1);
+    } else if (touchDesignerSession.binaryTracking) {
+      // Tell TD which binary player ID stands for this string ID
+      getBinaryPlayerId(id);
+      sendTrackingLayout();
+    }
+  }
+  player.lastSeen = simulationTime;
+  return player;
+}
+
+// Forget a player's smoothing history so a new person doesn't inherit it
+function clearPlayerHistory(player) {
+  Object.keys(positionHistory).forEach(key => {
+    if (key.startsWith(player.id + ":")) {
+      delete positionHistory[key];
+      delete filterState[key];
+    }
+  });
+}
+
+// Smooth a keypoint and store it - wrists also update the player's interaction data
+function updateKeypoint(player, part, x, y, confidence) {
+  const historyKey = player.id + ":" + part;
+  const calibrated = applyCalibration(x, y);
+  const smoothed = smoothPosition(calibrated.x, calibrated.y, historyKey);
+  player.keypointState[part] = {
+    part: part,
+    x: smoothed.x,
+    y: smoothed.y,
+    raw: calibrated, // Unfiltered position, in the same space as x/y, for the debug overlay
+    confidence: confidence
+  };
+  
+  if (HITTER_SIDES[part]) {
+    const wrist = player.wrists[HITTER_SIDES[part]];
+    wrist.part = part;
+    wrist.x = smoothed.x;
+    wrist.y = smoothed.y;
+    wrist.confidence = confidence;
+    wrist.active = confidence > KEYPOINT_CONFIDENCE_THRESHOLD;
+    wrist.timestamp = simulationTime;
+    
+    // Keep the last velocity when several samples land on the same tick
+    const velocity = getHistoryVelocity(historyKey);
+    if (velocity) {
+      wrist.vx = Math.round(velocity.vx);
+      wrist.vy = Math.round(velocity.vy);
+      wrist.speed = Math.round(Math.hypot(velocity.vx, velocity.vy));
+    }
+  }
+}
+
+// Rebuild a player's streamed keypoint list from its latest keypoint state
+function refreshStreamedKeypoints(player) {
+  player.keypoints = streamedKeypoints
+    .filter(part => player.keypointState[part])
+    .map(part => player.keypointState[part]);
+}
+
+// Publish players to trackingData - the oldest player also fills the legacy single-player fields
+function refreshTrackingPlayers() {
+  const primary = players[0];
+  window.trackingData.wrists = primary ? primary.wrists : createWristState();
+  window.trackingData.keypoints = primary ? primary.keypoints : [];
+  
+  window.trackingData.hands = primary ? primary.hands : { left: null, right: null };
+  
+  const combo = primary ? primary.combo : sharedCombo;
+  window.trackingData.combo = { count: combo.count, multiplier: combo.multiplier };
+  window.trackingData.players = players.map(player => ({
+    id: player.id,
+    color: player.color,
+    score: player.score,
+    combo: { count: player.combo.count, multiplier: player.combo.multiplier },
+    wrists: player.wrists,
+    keypoints: player.keypoints,
+    hands: player.hands
+  }));
+}
+
+// Average position of the confident keypoints in a detected pose
+function getPoseCentroid(keypoints) {
+  let sumX = 0;
+  let sumY = 0;
+  let count = 0;
+  
+  keypoints.forEach(keypoint => {
+    if (keypoint.confidence > KEYPOINT_CONFIDENCE_THRESHOLD) {
+      sumX += keypoint.x;
+      sumY += keypoint.y;
+      count++;
+    }
+  });
+  
+  return count > 0 ? { x: sumX / count, y: sumY / count } : null;
+}
+
+// Match detected poses to known players so IDs stay stable between frames
+function assignPlayers(detections) {
+  // Score every player/detection pair against the player's predicted position,
+  // so two people crossing paths keep their own IDs
+  const candidates = [];
+  detections.forEach((detection, d) => {
+    players.forEach((player, p) => {
+      if (!player.centroid || !detection.centroid) return;
+      
+      const predictedX = player.centroid.x + player.velocity.x;
+      const predictedY = player.centroid.y + player.velocity.y;
+      const distance = dist(predictedX, predictedY, detection.centroid.x, detection.centroid.y);
+      
+      if (distance < PLAYER_MATCH_DISTANCE) {
+        candidates.push({ d: d, p: p, distance: distance });
+      }
+    });
+  });
+  
+  // Greedily take the closest pairs first
+  candidates.sort((a, b) => a.distance - b.distance);
+  const matchedDetections = new Set();
+  const matchedPlayers = new Set();
+  const assignments = [];
+  
+  candidates.forEach(candidate => {
+    if (matchedDetections.has(candidate.d) || matchedPlayers.has(candidate.p)) return;
+    matchedDetections.add(candidate.d);
+    matchedPlayers.add(candidate.p);
+    assignments.push({ player: players[candidate.p], detection: detections[candidate.d] });
+  });
+  
+  // Unmatched detections become new players while there is room
+  detections.forEach((detection, d) => {
+    if (matchedDetections.has(d) || !detection.centroid) return;
+    
+    let player;
+    if (players.length < maxPlayers) {
+      player = createPlayer(nextPlayerId++, "ml5");
+      players.push(player);
+    } else {
+      // No free slot - the unmatched player missing longest makes way for a new one,
+      // who gets a fresh ID, score and combo rather than inheriting theirs
+      const stale = players
+        .filter((candidate, p) => !matchedPlayers.has(p))
+        .sort((a, b) => a.lastSeen - b.lastSeen)[0];
+      if (!stale) return;
+      clearPlayerHistory(stale);
+      player = createPlayer(nextPlayerId++, "ml5");
+      players[players.indexOf(stale)] = player;
+    }
+    
+    matchedPlayers.add(players.indexOf(player));
+    assignments.push({ player: player, detection: detection });
+  });
+  
+  // Players without a detection this frame lose their wrists until seen again
+  players.forEach((player, p) => {
+    if (!matchedPlayers.has(p)) {
+      player.wrists.left.active = false;
+      player.wrists.right.active = false;
+    }
+  });
+  
+  // Track centroid motion for the next frame's prediction
+  const now = simulationTime;
+  assignments.forEach(({ player, detection }) => {
+    if (player.centroid) {
+      player.velocity.x = detection.centroid.x - player.centroid.x;
+      player.velocity.y = detection.centroid.y - player.centroid.y;
+    } else {
+      player.velocity.x = 0;
+      player.velocity.y = 0;
+    }
+    player.centroid = detection.centroid;
+    player.lastSeen = now;
+  });
+  
+  return assignments;
+}
+
+// Update a player's keypoints from an ml5 pose
+function updatePlayerFromPose(player, keypoints) {
+  player.wrists.left.active = false;
+  player.wrists.right.active = false;
+  
+  // Extract the streamed keypoints plus the wrists (always needed for interaction)
+  keypoints.forEach((keypoint, index) => {
+    const part = KEYPOINT_NAMES[index];
+    if (!part) return;
+    
+    // Wrists and the gesture reference points are always needed, others only when streamed
+    const isWrist = part === "leftWrist" || part === "rightWrist";
+    if (!isWrist && !GESTURE_KEYPOINTS.includes(part) && !streamedKeypoints.includes(part)) return;
+    
+    if (keypoint.confidence > KEYPOINT_CONFIDENCE_THRESHOLD) {
+      updateKeypoint(player, part, keypoint.x, keypoint.y, keypoint.confidence);
+    } else if (player.keypointState[part]) {
+      // Keep the last position but report the low confidence
+      player.keypointState[part].confidence = keypoint.confidence;
+    }
+  });
+  
+  refreshStreamedKeypoints(player);
+}
+
+// Drop players that have not been seen for PLAYER_TIMEOUT
+function prunePlayers() {
+  const now = simulationTime;
+  const before = players.length;
+  
+  players = players.filter(player => {
+    const keep = now - player.lastSeen < PLAYER_TIMEOUT;
+    if (!keep) {
+      clearPlayerHistory(player);
+    }
+    return keep;
+  });
+  
+  if (players.length !== before) {
+    refreshTrackingPlayers();
+  }
+}
+
+// Change how many players are tracked - restarts ml5 detection if the model type changes
+function setMaxPlayers(count) {
+  const previous = maxPlayers;
+  maxPlayers = constrain(Math.round(count) || 1, 1, MAX_PLAYERS_LIMIT);
+  
+  // Drop the newest players beyond the limit
+  players.slice(maxPlayers).forEach(clearPlayerHistory);
+  players = players.slice(0, maxPlayers);
+  refreshTrackingPlayers();
+  
+  // maxPoseDetections (and maxHands) are fixed when the model loads, so reload it
+  if (maxPlayers !== previous && isModelReady && !useTouchDesignerSensors) {
+    stopDetection();
+    initializeDetection();
+  }
+  
+  updateStatusText("Tracking up to " + maxPlayers + " player(s)");
+  return maxPlayers;
+}
+
+// List every active wrist with its player - used by collisions and drawing
+function getActiveWrists() {
+  const wrists = [];
+  players.forEach(player => {
+    ["left", "right"].forEach(side => {
+      const wrist = player.wrists[side];
+      if (wrist.active) {
+        wrists.push({ player: player, side: side, x: wrist.x, y: wrist.y });
+      }
+    });
+  });
+  return wrists;
+}
+
+// ---------------- HAND TRACKING ----------------
+
+// Switch between body pose (wrists) and hand pose (fingertips) detection
+function setDetectionMode(mode) {
+  if (mode !== "body" && mode !== "hands") {
+    console.warn("Unknown detection mode: " + mode);
+    return false;
+  }
+  if (mode === detectionMode) return true;
+  
+  // Players tracked by the old detector don't carry over
+  stopDetection();
+  poses = [];
+  hands = [];
+  players.forEach(clearPlayerHistory);
+  players = [];
+  refreshTrackingPlayers();
+  
+  detectionMode = mode;
+  if (cameraPermissionState === "granted" && !useTouchDesignerSensors && ml5Available) {
+    initializeDetection();
+  }
+  
+  updateStatusText("Detection mode: " + (mode === "hands" ? "hand pose" : "body pose"));
+  return true;
+}
+
+// Turn detected hands into tracked players (live or replayed)
+function applyHands(results) {
+  hands = results;
+  
+  assignHands(results);
+  
+  // Update trackingData for TouchDesigner
+  refreshTrackingPlayers();
+}
+
+// Match each hand to a player (nearest hitter first, then a free slot) and update it
+function assignHands(results) {
+  const taken = new Set(); // "<playerId>:<side>" already filled this frame
+  
+  results
+    .filter(hand => hand.confidence > HAND_CONFIDENCE_THRESHOLD && hand.keypoints.length === 21)
+    .forEach(hand => {
+      const side = hand.handedness === "Left" ? "left" : "right";
+      const tip = hand.keypoints[8];
+      
+      // Closest player with this side still free, measured from its last hitter on either side
+      let player = null;
+      let nearest = null;
+      let bestDistance = Infinity;
+      players.forEach(candidate => {
+        if (candidate.source !== "handPose" || taken.has(candidate.id + ":" + side)) return;
+        
+        ["left", "right"].forEach(reference => {
+          const wrist = candidate.wrists[reference];
+          if (!wrist.part) return; // Side never seen yet
+          const distance = dist(wrist.x, wrist.y, tip.x, tip.y);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            nearest = candidate;
+          }
+        });
+      });
+      
+      // Far-away hands start a new player while there is room, otherwise join the nearest
+      if (nearest && bestDistance < PLAYER_MATCH_DISTANCE) {
+        player = nearest;
+      } else if (players.length < maxPlayers) {
+        player = createPlayer(nextPlayerId++, "handPose");
+        players.push(player);
+      } else {
+        player = nearest;
+      }
+      if (!player) return;
+      
+      taken.add(player.id + ":" + side);
+      player.lastSeen = simulationTime;
+      updatePlayerHand(player, side, hand);
+    });
+  
+  // Hands that weren't seen this frame stop hitting until they come back
+  players.forEach(player => {
+    if (player.source !== "handPose") return;
+    ["left", "right"].forEach(side => {
+      if (!taken.has(player.id + ":" + side)) {
+        player.wrists[side].active = false;
+        player.hands[side] = null;
+      }
+    });
+  });
+}
+
+// Store a hand's landmarks and gesture - its index fingertip becomes the hitter
+function updatePlayerHand(player, side, hand) {
+  const tip = hand.keypoints[8];
+  updateKeypoint(player, side + "IndexTip", tip.x, tip.y, hand.confidence);
+  
+  const gesture = getHandGesture(hand.keypoints);
+  player.hands[side] = {
+    gesture: gesture.gesture,
+    pinch: gesture.pinch,
+    confidence: hand.confidence,
+    landmarks: hand.keypoints.map((keypoint, index) => Object.assign(
+      { part: HAND_LANDMARK_NAMES[index] },
+      applyCalibration(keypoint.x, keypoint.y)
+    ))
+  };
+}
+
+// Classify a hand as pinch, fist, openPalm or none from its 21 landmarks
+function getHandGesture(landmarks) {
+  const point = index => landmarks[index];
+  const distance = (a, b) => dist(point(a).x, point(a).y, point(b).x, point(b).y);
+  
+  // Wrist to middle knuckle gives a scale that doesn't depend on distance from the camera
+  const handSize = Math.max(distance(0, 9), 1);
+  const pinch = distance(4, 8) / handSize;
+  
+  // A finger is extended when its tip is further from the wrist than its middle joint
+  const fingers = [[8, 6], [12, 10], [16, 14], [20, 18]];
+  const extended = fingers.filter(([tip, pip]) => distance(0, tip) > distance(0, pip) * 1.1).length;
+  
+  let gesture = "none";
+  if (pinch < PINCH_THRESHOLD) {
+    gesture = "pinch";
+  } else if (extended === 0) {
+    gesture = "fist";
+  } else if (extended === 4) {
+    gesture = "openPalm";
+  }
+  
+  return { gesture: gesture, pinch: Math.round(pinch * 100) / 100 };
+}
+
+// True when any tracked hand is pinching
+function isAnyHandPinching() {
+  return players.some(player =>
+    ["left", "right"].some(side => player.hands[side] && player.hands[side].gesture === "pinch"));
+}
+
+// ---------------- GESTURES ----------------
+
+// Gestures recognised from the tracked keypoints. Speeds come from the same
+// timestamped history as wrist velocity; thresholds are for sensitivity 1 and
+// scale with gestureSensitivity (higher = easier to trigger).
+const GESTURE_NAMES = ["swipeLeft", "swipeRight", "swipeUp", "swipeDown", "clap", "bothHandsUp", "tPose", "wave"];
+const GESTURE_HINTS = { // How on-screen hints ask for each gesture
+  swipeLeft: "swipe left",
+  swipeRight: "swipe right",
+  swipeUp: "swipe up",
+  swipeDown: "swipe down",
+  clap: "clap",
+  bothHandsUp: "raise both hands",
+  tPose: "make a T-pose",
+  wave: "wave"
+};
+const GESTURE_KEYPOINTS = ["nose", "leftShoulder", "rightShoulder"]; // Always tracked for gestures
+const GESTURE_COOLDOWN = 1000; // ms before the same player can repeat a gesture
+const GESTURE_FRESHNESS = 200; // ms - older hitter samples are ignored
+const SWIPE_SPEED = 1800; // px/s along the swipe
+const SWIPE_AXIS_RATIO = 2; // Main direction must be this much faster than the other
+const CLAP_DISTANCE = 100; // px between hands when they meet
+const CLAP_SPEED = 600; // px/s the hands approach each other
+const POSE_HOLD_TIME = 500; // ms both hands up or a T-pose must be held
+const WAVE_SPEED = 300; // px/s sideways for a wave stroke
+const WAVE_REVERSALS = 3; // Direction changes that make a wave
+const WAVE_WINDOW = 1500; // ms the reversals must happen within
+let gestureSensitivity = 1;
+let gestureBindings = {}; // Gesture name -> GESTURE_ACTIONS name - none by default, bound with configureGestures
+
+// Game actions a gesture can be bound to
+const GESTURE_ACTIONS = {
+  start: () => {
+    if (gameState === "waiting") startGame();
+  },
+  reset: () => resetGame(),
+  pause: () => pauseGame(),
+  resume: () => resumeGame(),
+  togglePause: () => togglePause(),
+  calibrate: () => startCalibration()
+};
+
+// Per-player recogniser state
+function createGestureState() {
+  return {
+    lastFired: {}, // Gesture name -> simulation time it last fired
+    heldSince: {}, // Pose gesture name -> simulation time it started being held
+    wave: {
+      left: { direction: 0, reversals: [] },
+      right: { direction: 0, reversals: [] }
+    }
+  };
+}
+
+// Change sensitivity and/or bindings - returns { error } when something is invalid
+function configureGestures(options) {
+  if (options.sensitivity !== undefined) {
+    if (typeof options.sensitivity !== "number" || !(options.sensitivity > 0)) {
+      return { error: "gestures.sensitivity must be a positive number" };
+    }
+  }
+  
+  const bindings = options.bindings || {};
+  for (const gesture of Object.keys(bindings)) {
+    if (!GESTURE_NAMES.includes(gesture)) {
+      return { error: "Unknown gesture: " + gesture };
+    }
+    if (bindings[gesture] !== null && !GESTURE_ACTIONS[bindings[gesture]]) {
+      return { error: "Unknown gesture action: " + bindings[gesture] };
+    }
+  }
+  
+  if (options.sensitivity !== undefined) {
+    gestureSensitivity = constrain(options.sensitivity, 0.25, 4);
+  }
+  Object.keys(bindings).forEach(gesture => {
+    if (bindings[gesture] === null) {
+      delete gestureBindings[gesture];
+    } else {
+      gestureBindings[gesture] = bindings[gesture];
+    }
+  });
+  
+  return { sensitivity: gestureSensitivity, bindings: gestureBindings };
+}
+
+// Run every recogniser for every player - called once per logic step
+function updateGestures() {
+  players.forEach(player => {
+    const left = getGestureHitter(player, "left");
+    const right = getGestureHitter(player, "right");
+    
+    [left, right].forEach(hitter => {
+      if (hitter) {
+        detectSwipe(player, hitter);
+        detectWave(player, hitter);
+      }
+    });
+    
+    if (left && right) {
+      detectClap(player, left, right);
+      detectHeldPose(player, "bothHandsUp", isBothHandsUp(player, left, right));
+      detectHeldPose(player, "tPose", isTPose(player, left, right));
+    } else {
+      detectHeldPose(player, "bothHandsUp", false);
+      detectHeldPose(player, "tPose", false);
+    }
+  });
+}
+
+// An active hitter with a recent sample, or null
+function getGestureHitter(player, side) {
+  const wrist = player.wrists[side];
+  if (!wrist.active || simulationTime - wrist.timestamp > GESTURE_FRESHNESS) return null;
+  return { side: side, x: wrist.x, y: wrist.y, vx: wrist.vx, vy: wrist.vy, speed: wrist.speed };
+}
+
+// A confident body keypoint, or null
+function getGestureKeypoint(player, part) {
+  const keypoint = player.keypointState[part];
+  return keypoint && keypoint.confidence > KEYPOINT_CONFIDENCE_THRESHOLD ? keypoint : null;
+}
+
+// Fast movement mostly along one axis
+function detectSwipe(player, hitter) {
+  const threshold = SWIPE_SPEED / gestureSensitivity;
+  const ax = Math.abs(hitter.vx);
+  const ay = Math.abs(hitter.vy);
+  
+  if (ax > threshold && ax > ay * SWIPE_AXIS_RATIO) {
+    fireGesture(player, hitter.vx < 0 ? "swipeLeft" : "swipeRight", hitter.side);
+  } else if (ay > threshold && ay > ax * SWIPE_AXIS_RATIO) {
+    fireGesture(player, hitter.vy < 0 ? "swipeUp" : "swipeDown", hitter.side);
+  }
+}
+
+// Several quick sideways direction changes
+function detectWave(player, hitter) {
+  const wave = player.gestures.wave[hitter.side];
+  if (Math.abs(hitter.vx) < WAVE_SPEED / gestureSensitivity) return;
+  
+  const direction = Math.sign(hitter.vx);
+  if (wave.direction !== 0 && direction !== wave.direction) {
+    wave.reversals.push(simulationTime);
+  }
+  wave.direction = direction;
+  wave.reversals = wave.reversals.filter(time => simulationTime - time <= WAVE_WINDOW);
+  
+  if (wave.reversals.length >= WAVE_REVERSALS && fireGesture(player, "wave", hitter.side)) {
+    wave.reversals = [];
+  }
+}
+
+// Hands meeting quickly
+function detectClap(player, left, right) {
+  const dx = right.x - left.x;
+  const dy = right.y - left.y;
+  const distance = Math.max(Math.hypot(dx, dy), 1);
+  
+  // How fast the gap between the hands is closing
+  const approachSpeed = -((right.vx - left.vx) * dx + (right.vy - left.vy) * dy) / distance;
+  
+  if (distance < CLAP_DISTANCE * gestureSensitivity && approachSpeed > CLAP_SPEED / gestureSensitivity) {
+    fireGesture(player, "clap", null);
+  }
+}
+
+// Both hands above the head (or the top quarter of the screen without body keypoints)
+function isBothHandsUp(player, left, right) {
+  const nose = getGestureKeypoint(player, "nose");
+  const line = nose ? nose.y : height * 0.25;
+  return left.y < line && right.y < line;
+}
+
+// Arms straight out to the sides at shoulder height
+function isTPose(player, left, right) {
+  const leftShoulder = getGestureKeypoint(player, "leftShoulder");
+  const rightShoulder = getGestureKeypoint(player, "rightShoulder");
+  if (!leftShoulder || !rightShoulder) return false;
+  
+  const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
+  if (shoulderWidth < 1) return false;
+  
+  // The outer hand on each side must be well past its shoulder and level with it
+  const tolerance = shoulderWidth * 0.5 * gestureSensitivity;
+  const reach = shoulderWidth * 1.2;
+  const [outerLeft, outerRight] = left.x < right.x ? [left, right] : [right, left];
+  const [shoulderLeft, shoulderRight] = leftShoulder.x < rightShoulder.x ?
+    [leftShoulder, rightShoulder] : [rightShoulder, leftShoulder];
+  
+  return shoulderLeft.x - outerLeft.x > reach && outerRight.x - shoulderRight.x > reach &&
+    Math.abs(outerLeft.y - shoulderLeft.y) < tolerance && Math.abs(outerRight.y - shoulderRight.y) < tolerance;
+}
+
+// Fire a pose gesture once it has been held long enough, and again only after release
+function detectHeldPose(player, gesture, holding) {
+  const held = player.gestures.heldSince;
+  
+  if (!holding) {
+    delete held[gesture];
+  } else if (held[gesture] === undefined) {
+    held[gesture] = simulationTime;
+  } else if (held[gesture] !== null && simulationTime - held[gesture] >= POSE_HOLD_TIME / gestureSensitivity) {
+    fireGesture(player, gesture, null);
+    held[gesture] = null; // Fired - wait for release
+  }
+}
+
+// Report a gesture and run its bound action - returns false while on cooldown
+function fireGesture(player, gesture, hand) {
+  const lastFired = player.gestures.lastFired[gesture];
+  if (lastFired !== undefined && simulationTime - lastFired < GESTURE_COOLDOWN) return false;
+  player.gestures.lastFired[gesture] = simulationTime;
+  
+  const action = gestureBindings[gesture] || null;
+  const event = {
+    type: "gesture",
+    gesture: gesture,
+    playerId: player.id,
+    hand: hand,
+    action: action
+  };
+  
+  // Page listeners get it with the next trackingDataUpdated event, TD right away
+  window.trackingData.gestures.push({ gesture: gesture, playerId: player.id, hand: hand, time: simulationTime });
+  emitGameEvent(event);
+  
+  if (action) {
+    GESTURE_ACTIONS[action]();
+  }
+  return true;
+}
+
+// ---------------- COORDINATE SPACES ----------------
+
+// Positions exchanged with TouchDesigner are in the connection's declared space:
+//   pixels     - canvas pixels
+//   normalized - 0..1 across the canvas width and height
+//   td         - TouchDesigner style, height spans 2 units and width spans 2 * aspect
+// The origin (topLeft with y down, bottomLeft or center with y up) and mirroring
+// (x flipped, for front-facing cameras) apply to every space.
+const COORDINATE_SPACES = ["pixels", "normalized", "td"];
+const COORDINATE_ORIGINS = ["topLeft", "bottomLeft", "center"];
+const DEFAULT_COORDINATE_ORIGINS = { pixels: "topLeft", normalized: "topLeft", td: "center" };
+
+// Change the current connection's coordinate space - returns the new space or { error }
+function setCoordinateSpace(options) {
+  if (!options || typeof options !== "object") {
+    return { error: "coordinates must be an object" };
+  }
+  
+  const current = touchDesignerSession.coordinates;
+  const space = options.space !== undefined ? options.space : current.space;
+  if (!COORDINATE_SPACES.includes(space)) {
+    return { error: "Unknown coordinate space: " + space };
+  }
+  
+  // A new space brings its own default origin unless one is given
+  const origin = options.origin !== undefined ? options.origin :
+    options.space !== undefined ? DEFAULT_COORDINATE_ORIGINS[space] : current.origin;
+  if (!COORDINATE_ORIGINS.includes(origin)) {
+    return { error: "Unknown coordinate origin: " + origin };
+  }
+  
+  if (options.mirror !== undefined && typeof options.mirror !== "boolean") {
+    return { error: "coordinates.mirror must be true or false" };
+  }
+  const mirror = options.mirror !== undefined ? options.mirror : current.mirror;
+  
+  touchDesignerSession.coordinates = { space: space, origin: origin, mirror: mirror };
+  updateStatusText("TouchDesigner coordinates: " + space + ", origin " + origin + (mirror ? ", mirrored" : ""));
+  return touchDesignerSession.coordinates;
+}
+
+// The coordinate space plus the ranges the canvas covers in it, so both sides agree
+function describeCoordinateSpace() {
+  const coords = touchDesignerSession.coordinates;
+  const topLeft = toOutputPoint(0, 0);
+  const bottomRight = toOutputPoint(width, height);
+  
+  return {
+    space: coords.space,
+    origin: coords.origin,
+    mirror: coords.mirror,
+    canvas: [width, height],
+    xRange: [topLeft.x, bottomRight.x],
+    yRange: [topLeft.y, bottomRight.y]
+  };
+}
+
+// Tell TouchDesigner the coordinate space changed (also after a canvas resize)
+function sendCoordinateSpace() {
+  sendWebSocketData({ type: "coordinateSpace", coordinates: describeCoordinateSpace() });
+}
+
+// Canvas pixels per unit of the current space
+function getCoordinateScale(space) {
+  if (space === "normalized") return { x: width, y: height };
+  if (space === "td") return { x: height / 2, y: height / 2 };
+  return { x: 1, y: 1 };
+}
+
+// Round output values - whole pixels, or 4 decimals for unit spaces
+function roundCoordinate(value) {
+  return touchDesignerSession.coordinates.space === "pixels" ?
+    Math.round(value) : Math.round(value * 10000) / 10000;
+}
+
+// Canvas pixel position to the output space
+function toOutputPoint(x, y) {
+  const coords = touchDesignerSession.coordinates;
+  const scale = getCoordinateScale(coords.space);
+  let px = coords.mirror ? width - x : x;
+  let py = y;
+  
+  if (coords.origin === "bottomLeft") {
+    py = height - py;
+  } else if (coords.origin === "center") {
+    px -= width / 2;
+    py = height / 2 - py;
+  }
+  
+  return { x: roundCoordinate(px / scale.x), y: roundCoordinate(py / scale.y) };
+}
+
+// Position in the input space to canvas pixels (inverse of toOutputPoint)
+function fromInputPoint(x, y) {
+  const coords = touchDesignerSession.coordinates;
+  const scale = getCoordinateScale(coords.space);
+  let px = x * scale.x;
+  let py = y * scale.y;
+  
+  if (coords.origin === "bottomLeft") {
+    py = height - py;
+  } else if (coords.origin === "center") {
+    px += width / 2;
+    py = height / 2 - py;
+  }
+  
+  return { x: coords.mirror ? width - px : px, y: py };
+}
+
+// Canvas velocity (px/s) to the output space, with its speed and angle in degrees
+function toOutputVector(vx, vy) {
+  const coords = touchDesignerSession.coordinates;
+  const scale = getCoordinateScale(coords.space);
+  const x = (coords.mirror ? -vx : vx) / scale.x;
+  const y = (coords.origin === "topLeft" ? vy : -vy) / scale.y;
+  
+  return {
+    x: roundCoordinate(x),
+    y: roundCoordinate(y),
+    speed: roundCoordinate(Math.hypot(x, y)),
+    angle: Math.round(Math.atan2(y, x) * 180 / Math.PI)
+  };
+}
+
+// Keypoints in the output space, with confidence rounded to shrink payloads
+function formatKeypoints(keypoints) {
+  return keypoints.map(keypoint => Object.assign({ part: keypoint.part }, toOutputPoint(keypoint.x, keypoint.y), {
+    confidence: Math.round(keypoint.confidence * 100) / 100
+  }));
+}
+
+// Both wrists in the output space, with their velocity
+function formatWrists(wrists) {
+  const formatted = {};
+  ["left", "right"].forEach(side => {
+    const wrist = wrists[side];
+    const position = toOutputPoint(wrist.x, wrist.y);
+    const velocity = toOutputVector(wrist.vx, wrist.vy);
+    
+    formatted[side] = {
+      x: position.x,
+      y: position.y,
+      vx: velocity.x,
+      vy: velocity.y,
+      speed: velocity.speed,
+      active: wrist.active,
+      confidence: wrist.confidence
+    };
+  });
+  return formatted;
+}
+
+// Hand landmarks and gestures in the output space (null for hands not in view)
+function formatHands(trackedHands) {
+  const formatted = {};
+  ["left", "right"].forEach(side => {
+    const hand = trackedHands[side];
+    formatted[side] = hand ? {
+      gesture: hand.gesture,
+      pinch: hand.pinch,
+      confidence: Math.round(hand.confidence * 100) / 100,
+      landmarks: hand.landmarks.map(landmark =>
+        Object.assign({ part: landmark.part }, toOutputPoint(landmark.x, landmark.y)))
+    } : null;
+  });
+  return formatted;
+}
+
+// Published players with positions in the output space
+function formatPlayers(trackedPlayers) {
+  return trackedPlayers.map(player => ({
+    id: player.id,
+    color: player.color,
+    score: player.score,
+    combo: player.combo,
+    wrists: formatWrists(player.wrists),
+    keypoints: formatKeypoints(player.keypoints),
+    hands: formatHands(player.hands)
+  }));
+}
+
+// ---------------- CALIBRATION ----------------
+
+// The camera usually sees the projection at an angle. Calibration maps camera
+// positions onto the canvas with a perspective transform (homography) worked out
+// from four reference points. The matrix is row-major 3x3 and maps normalized
+// camera coordinates (0..1, top-left origin) to normalized canvas coordinates,
+// so it survives canvas resizes.
+
+// Solve the homography that maps four source points onto four destination points
+function computeHomography(source, destination) {
+  // Two equations per point pair in the eight unknowns h0..h7 (h8 = 1)
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = source[i];
+    const [u, v] = destination[i];
+    rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+  
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) return null; // Three points in a line
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k < 9; k++) {
+        rows[row][k] -= factor * rows[col][k];
+      }
+    }
+  }
+  
+  const matrix = rows.map((row, i) => row[8] / row[i]);
+  matrix.push(1);
+  return matrix;
+}
+
+// Transform a point by a homography
+function applyHomography(matrix, x, y) {
+  const w = matrix[6] * x + matrix[7] * y + matrix[8];
+  return {
+    x: (matrix[0] * x + matrix[1] * y + matrix[2]) / w,
+    y: (matrix[3] * x + matrix[4] * y + matrix[5]) / w
+  };
+}
+
+// Map a tracked camera position (canvas px) onto the projection - raw while calibrating
+function applyCalibration(x, y) {
+  if (!calibration || gameState === "calibrating") {
+    return { x: x, y: y };
+  }
+  
+  const mapped = applyHomography(calibration.matrix, x / width, y / height);
+  return { x: mapped.x * width, y: mapped.y * height };
+}
+
+// Enter the calibrating state - the operator marks where each target appears to the camera
+function startCalibration() {
+  if (gameState === "playing" || gameState === "enteringInitials") {
+    updateStatusText("Finish the current game before calibrating");
+    return false;
+  }
+  
+  gameState = "calibrating";
+  window.trackingData.gameState = gameState;
+  calibrationSession = { points: [], dwellStart: 0, dwellX: 0, dwellY: 0 };
+  
+  // Tracked positions switch to raw camera space, so drop the calibrated history
+  players.forEach(clearPlayerHistory);
+  balls = [];
+  
+  updateStatusText("Calibrating: hold a hand on each target, or click where the camera sees it");
+  emitGameEvent({
+    type: "gameStateChange",
+    state: "calibrating"
+  });
+  return true;
+}
+
+// Leave calibration without changing the current calibration
+function cancelCalibration() {
+  calibrationSession = null;
+  players.forEach(clearPlayerHistory);
+  resetGame();
+}
+
+// Record where the camera sees the current target (canvas px)
+function captureCalibrationPoint(x, y) {
+  calibrationSession.points.push([x / width, y / height]);
+  calibrationSession.dwellStart = 0;
+  
+  if (calibrationSession.points.length < CALIBRATION_TARGETS.length) {
+    updateStatusText("Calibration point " + calibrationSession.points.length + " of 4 captured");
+    return;
+  }
+  
+  const result = setCalibration({ points: calibrationSession.points });
+  if (result.error) {
+    // Start over rather than keep a bad transform
+    updateStatusText("Calibration failed (" + result.error + ") - try again");
+    calibrationSession.points = [];
+    return;
+  }
+  
+  sendCalibration();
+  calibrationSession = null;
+  players.forEach(clearPlayerHistory);
+  resetGame();
+}
+
+// Capture a point once the first input pointer holds still for the calibration duration
+function updateCalibration() {
+  const pointer = inputPointers[0];
+  if (!pointer) {
+    calibrationSession.dwellStart = 0;
+    return;
+  }
+  
+  const moved = dist(pointer.x, pointer.y, calibrationSession.dwellX, calibrationSession.dwellY);
+  if (calibrationSession.dwellStart === 0 || moved > CALIBRATION_STILL_RADIUS) {
+    calibrationSession.dwellStart = simulationTime;
+    calibrationSession.dwellX = pointer.x;
+    calibrationSession.dwellY = pointer.y;
+  } else if (simulationTime - calibrationSession.dwellStart >= settings.calibrationDuration) {
+    captureCalibrationPoint(calibrationSession.dwellX, calibrationSession.dwellY);
+  }
+}
+
+// Use a calibration from TD or storage: { matrix } or the four camera { points } - returns it or { error }
+function setCalibration(data) {
+  if (!data || typeof data !== "object") {
+    return { error: "calibration must be an object" };
+  }
+  
+  let matrix;
+  let points = null;
+  
+  if (Array.isArray(data.points)) {
+    const valid = data.points.length === 4 && data.points.every(point =>
+      Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+    if (!valid) {
+      return { error: "points must be four [x, y] pairs" };
+    }
+    points = data.points;
+    matrix = computeHomography(points, CALIBRATION_TARGETS);
+    if (!matrix) {
+      return { error: "points must not be collinear" };
+    }
+  } else if (Array.isArray(data.matrix)) {
+    if (data.matrix.length !== 9 || !data.matrix.every(Number.isFinite)) {
+      return { error: "matrix must be 9 numbers (row-major 3x3)" };
+    }
+    matrix = data.matrix;
+  } else {
+    return { error: "calibration needs a matrix or points" };
+  }
+  
+  calibration = { matrix: matrix, points: points, targets: CALIBRATION_TARGETS };
+  saveCalibration();
+  players.forEach(clearPlayerHistory);
+  updateStatusText("Calibration applied");
+  return calibration;
+}
+
+// Go back to using camera positions unchanged
+function clearCalibration() {
+  calibration = null;
+  saveCalibration();
+  players.forEach(clearPlayerHistory);
+  updateStatusText("Calibration cleared");
+}
+
+// Restore the calibration saved by a previous session
+function loadCalibration() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY));
+    if (saved && setCalibration(saved).error) {
+      console.warn("Ignoring invalid saved calibration");
+    }
+  } catch (e) {
+    console.warn("Could not read saved calibration:", e);
+  }
+}
+
+// Save the calibration to localStorage (or remove it once cleared)
+function saveCalibration() {
+  try {
+    if (calibration) {
+      localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibration));
+    } else {
+      localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+    }
+  } catch (e) {
+    console.warn("Could not save calibration:", e);
+  }
+}
+
+// Send the current calibration (null when uncalibrated) to TouchDesigner
+function sendCalibration() {
+  sendWebSocketData({ type: "calibration", calibration: calibration });
+}
+
+// ---------------- INPUT PROVIDERS ----------------
+
+// Every input source is a provider that turns its raw input into named pointers:
+//   { id, source, name, playerId, x, y, vx, vy, speed, confidence, timestamp }
+// Positions are canvas px, velocity is px/s (null when the source doesn't measure it)
+// and timestamp is the simulation time of the sample. Providers are
+//   { isLive(), getPointers(), update()?, enabled, cursor, recorded }
+// and the game only ever reads the combined pointer list. Recorded providers have
+// their pointers saved each step, and a replay feeds them back in their place.
+const inputProviders = {}; // Keyed by provider name, in registration order
+let inputPointers = []; // Pointers from every live provider for the current logic step
+
+const KEYBOARD_CURSOR_SPEED = 12; // px per tick while an arrow key is held
+const KEYBOARD_IDLE_TIMEOUT = 3000; // ms before an unmoved keyboard cursor disappears
+const EXTERNAL_POINTER_TIMEOUT = 500; // ms before pointers from a silent sensor expire
+
+// Pending clicks and taps, so a press shorter than a frame still counts once
+const mouseInput = { pending: false };
+const touchInput = { pending: [] };
+const keyboardCursor = { x: 0, y: 0, active: false, lastMove: 0 };
+
+// Add (or replace) an input provider - a new sensor only needs to register one
+function registerInputProvider(name, provider) {
+  inputProviders[name] = Object.assign({ enabled: true, cursor: false }, provider, { name: name });
+  return inputProviders[name];
+}
+
+// Switch a provider on or off - returns false for an unknown provider
+function setInputProviderEnabled(name, enabled) {
+  if (!inputProviders[name]) return false;
+  inputProviders[name].enabled = Boolean(enabled);
+  return true;
+}
+
+// Names of the providers currently feeding pointers
+function getLiveInputProviders() {
+  return Object.keys(inputProviders).filter(name =>
+    inputProviders[name].enabled && inputProviders[name].isLive());
+}
+
+// Collect this step's pointers - called once per logic step
+function updateInputPointers() {
+  inputPointers = [];
+  Object.keys(inputProviders).forEach(name => {
+    const provider = inputProviders[name];
+    if (!provider.enabled) return;
+    
+    if (provider.update) {
+      provider.update();
+    }
+    if (provider.isLive()) {
+      const pointers = provider.getPointers();
+      if (provider.recorded && pointers.length > 0) {
+        recordSessionInput({
+          kind: "pointers",
+          source: name,
+          pointers: pointers.map(pointer => ({ name: pointer.name, x: pointer.x, y: pointer.y }))
+        });
+      }
+      inputPointers = inputPointers.concat(pointers);
+    }
+  });
+}
+
+// Build a pointer - motion is { vx, vy, speed } in px/s, or null when unmeasured
+function createPointer(source, name, playerId, x, y, confidence, motion, timestamp) {
+  return {
+    id: source + ":" + (playerId !== null ? playerId + ":" : "") + name,
+    source: source,
+    name: name,
+    playerId: playerId,
+    x: x,
+    y: y,
+    vx: motion ? motion.vx : null,
+    vy: motion ? motion.vy : null,
+    speed: motion ? motion.speed : null,
+    confidence: confidence,
+    timestamp: timestamp !== undefined ? timestamp : simulationTime
+  };
+}
+
+// Wrist pointers for tracked players - from one source, or every source when null
+function getTrackedPointers(provider, source) {
+  const pointers = [];
+  players.forEach(player => {
+    if (source !== null && player.source !== source) return;
+    
+    ["left", "right"].forEach(side => {
+      const wrist = player.wrists[side];
+      if (wrist.active) {
+        pointers.push(createPointer(provider, wrist.part || side + "Wrist", player.id, wrist.x, wrist.y,
+          wrist.confidence, wrist, wrist.timestamp));
+      }
+    });
+  });
+  return pointers;
+}
+
+// Store pointers from an external sensor, measuring velocity against its last sample
+// Positions are camera-space like keypoints, so the projection calibration applies to them too
+function applyExternalPointers(source, pointers) {
+  if (!inputProviders[source]) {
+    registerInputProvider(source, createExternalProvider(source));
+  }
+  
+  const provider = inputProviders[source];
+  const previous = {};
+  provider.pointers.forEach(pointer => previous[pointer.name] = pointer);
+  
+  provider.pointers = pointers.map(pointer => {
+    const position = applyCalibration(pointer.x, pointer.y);
+    const last = previous[pointer.name];
+    const elapsed = last ? simulationTime - last.timestamp : 0;
+    const motion = elapsed > 0 ? {
+      vx: (position.x - last.x) * 1000 / elapsed,
+      vy: (position.y - last.y) * 1000 / elapsed
+    } : (last ? { vx: last.vx, vy: last.vy } : { vx: 0, vy: 0 });
+    motion.speed = Math.hypot(motion.vx, motion.vy);
+    
+    const playerId = pointer.playerId !== undefined ? pointer.playerId : null;
+    const confidence = pointer.confidence !== undefined ? pointer.confidence : 1;
+    return createPointer(source, pointer.name, playerId, position.x, position.y, confidence, motion);
+  });
+  provider.lastUpdate = simulationTime;
+}
+
+// Drop every external sensor's pointers (the replay clock jumps around them)
+function clearExternalPointers() {
+  Object.keys(inputProviders).forEach(name => {
+    if (inputProviders[name].external) {
+      inputProviders[name].pointers = [];
+    }
+  });
+}
+
+// Provider for a sensor that TD relays with setPointers
+function createExternalProvider(source) {
+  return {
+    external: true,
+    cursor: true,
+    pointers: [],
+    lastUpdate: 0,
+    isLive: function() {
+      return this.pointers.length > 0 && simulationTime - this.lastUpdate <= EXTERNAL_POINTER_TIMEOUT;
+    },
+    getPointers: function() {
+      return this.pointers;
+    }
+  };
+}
+
+// Browser pose detection
+registerInputProvider("ml5", {
+  isLive: () => !sessionReplay.active && !useTouchDesignerSensors && detectionMode === "body" &&
+    isModelReady && ml5Available && poses.length > 0,
+  getPointers: () => getTrackedPointers("ml5", "ml5")
+});
+
+// Browser hand detection - index fingertips
+registerInputProvider("handPose", {
+  isLive: () => !sessionReplay.active && !useTouchDesignerSensors && detectionMode === "hands" &&
+    isModelReady && ml5Available && hands.length > 0,
+  getPointers: () => getTrackedPointers("handPose", "handPose")
+});
+
+// Wrists and keypoints pushed by TouchDesigner
+registerInputProvider("touchdesigner", {
+  isLive: () => !sessionReplay.active && useTouchDesignerSensors,
+  getPointers: () => getTrackedPointers("touchdesigner", "touchdesigner")
+});
+
+// A recorded session being played back owns every tracked player and local pointer
+registerInputProvider("replay", {
+  isLive: () => sessionReplay.active,
+  getPointers: function() {
+    const pointers = getTrackedPointers("replay", null).concat(sessionReplay.pointers);
+    sessionReplay.pointers = [];
+    return pointers;
+  }
+});
+
+// Mouse - a pointer for each click
+registerInputProvider("mouse", {
+  recorded: true,
+  isLive: () => !sessionReplay.active && mouseInput.pending,
+  getPointers: function() {
+    mouseInput.pending = false;
+    return [createPointer("mouse", "mouse", null, mouseX, mouseY, 1, null)];
+  }
+});
+
+// Touch - a pointer per finger on the screen
+registerInputProvider("touch", {
+  recorded: true,
+  isLive: () => !sessionReplay.active && (touches.length > 0 || touchInput.pending.length > 0),
+  getPointers: function() {
+    const points = touches.length > 0 ? touches : touchInput.pending;
+    touchInput.pending = [];
+    return points.map((point, i) => createPointer("touch", "touch" + i, null, point.x, point.y, 1, null));
+  }
+});
+
+// Keyboard - arrow keys steer a cursor, handy for testing without a camera
+registerInputProvider("keyboard", {
+  cursor: true,
+  recorded: true,
+  update: function() {
+    const dx = (keyIsDown(RIGHT_ARROW) ? 1 : 0) - (keyIsDown(LEFT_ARROW) ? 1 : 0);
+    const dy = (keyIsDown(DOWN_ARROW) ? 1 : 0) - (keyIsDown(UP_ARROW) ? 1 : 0);
+    
+    if (dx !== 0 || dy !== 0) {
+      if (!keyboardCursor.active) {
+        keyboardCursor.x = width / 2;
+        keyboardCursor.y = height / 2;
+        keyboardCursor.active = true;
+      }
+      keyboardCursor.x = constrain(keyboardCursor.x + dx * KEYBOARD_CURSOR_SPEED, 0, width);
+      keyboardCursor.y = constrain(keyboardCursor.y + dy * KEYBOARD_CURSOR_SPEED, 0, height);
+      keyboardCursor.lastMove = simulationTime;
+    } else if (keyboardCursor.active && simulationTime - keyboardCursor.lastMove > KEYBOARD_IDLE_TIMEOUT) {
+      keyboardCursor.active = false;
+    }
+  },
+  isLive: () => !sessionReplay.active && keyboardCursor.active,
+  getPointers: () => [createPointer("keyboard", "keyboard", null, keyboardCursor.x, keyboardCursor.y, 1, null)]
+});
+
+// ---------------- OSC ENCODING ----------------
+
+// Rename message fields to stable OSC address segments (e.g. /game/wrist/left/x)
+const OSC_ADDRESS_ALIASES = {
+  wrists: "wrist",
+  keypoints: "keypoint",
+  hands: "hand",
+  landmarks: "landmark",
+  players: "player",
+  gameState: "state"
+};
+
+// Fields that only ever hold whole numbers go out as OSC ints - every other number is a float,
+// so an address keeps one type tag even when a coordinate or speed lands on a whole value
+const OSC_INTEGER_FIELDS = ["id", "ballId", "playerId", "seq", "frame", "tick", "score", "playerScore", "points",
+  "level", "lives", "hitsLeft", "count", "combo", "multiplier", "dailyRank", "allTimeRank", "width", "height"];
+const OSC_DOUBLE_FIELDS = ["timestamp"]; // ms since page load - a float32 loses whole ms after ~4.6 hours
+
+// Switch the outgoing message format between JSON strings and OSC bundles
+function setOutputFormat(format) {
+  if (format !== "json" && format !== "osc") {
+    console.warn("Unknown output format: " + format);
+    return false;
+  }
+  touchDesignerOutputFormat = format;
+  updateStatusText("TouchDesigner output format: " + format.toUpperCase());
+  return true;
+}
+
+// Encode an outgoing message in the selected output format
+function encodeOutgoingMessage(data) {
+  if (data.type === "trackingUpdate" && touchDesignerSession.binaryTracking) {
+    return encodeBinaryTrackingFrame(data.data.players);
+  }
+  if (data.type === "canvasFrame") {
+    return encodeCanvasFrame(data);
+  }
+  if (touchDesignerOutputFormat === "osc") {
+    return encodeOSCBundle(messageToOSC(data));
+  }
+  return JSON.stringify(data);
+}
+
+// Convert a message object into a list of OSC messages with stable addresses
+function messageToOSC(data) {
+  const messages = [];
+  
+  if (data.type === "trackingUpdate") {
+    // Tracking data lives directly under /game (/game/wrist/left/x, /game/score...)
+    const tracking = Object.assign({}, data.data);
+    
+    // Address keypoints by name rather than array index (/game/keypoint/leftHip/x)
+    if (Array.isArray(tracking.keypoints)) {
+      tracking.keypoints = keypointsByName(tracking.keypoints);
+    }
+    if (tracking.hands) {
+      tracking.hands = handsForOSC(tracking.hands);
+    }
+    
+    // Address players by ID (/game/player/2/wrist/left/x)
+    if (Array.isArray(tracking.players)) {
+      const byId = {};
+      tracking.players.forEach(player => {
+        byId[player.id] = {
+          score: player.score,
+          wrists: player.wrists,
+          keypoints: keypointsByName(player.keypoints),
+          hands: player.hands ? handsForOSC(player.hands) : undefined
+        };
+      });
+      tracking.players = byId;
+    }
+    
+    flattenForOSC("/game", tracking, messages);
+  } else {
+    // Events live under their type (/game/ballHit/position/x, /game/gameOver/score...)
+    const address = "/game/" + data.type;
+    const fields = Object.assign({}, data);
+    delete fields.type;
+    
+    if (Object.keys(fields).length === 0) {
+      // Send an argument-less message so TD still sees the event
+      messages.push({ address: address, args: [] });
+    } else {
+      flattenForOSC(address, fields, messages);
+    }
+  }
+  
+  return messages;
+}
+
+// Key a keypoint list by part name for OSC addressing
+function keypointsByName(keypoints) {
+  const byName = {};
+  keypoints.forEach(keypoint => {
+    byName[keypoint.part] = { x: keypoint.x, y: keypoint.y, confidence: keypoint.confidence };
+  });
+  return byName;
+}
+
+// Key hand landmarks by name for OSC addressing (/game/hand/left/landmark/thumbTip/x)
+function handsForOSC(trackedHands) {
+  const byHand = {};
+  ["left", "right"].forEach(side => {
+    const hand = trackedHands[side];
+    if (!hand) return;
+    byHand[side] = Object.assign({}, hand, { landmarks: keypointsByName(hand.landmarks) });
+  });
+  return byHand;
+}
+
+// Recursively flatten a value into OSC messages, one address per leaf value
+function flattenForOSC(address, value, messages) {
+  if (value === null || value === undefined) return;
+  
+  if (Array.isArray(value)) {
+    // Arrays of plain values become a single multi-argument message
+    if (value.every(item => typeof item !== "object")) {
+      messages.push({ address: address, args: value });
+    } else {
+      value.forEach((item, index) => flattenForOSC(address + "/" + index, item, messages));
+    }
+  } else if (typeof value === "object") {
+    Object.keys(value).forEach(key => {
+      const segment = OSC_ADDRESS_ALIASES[key] || key;
+      flattenForOSC(address + "/" + segment, value[key], messages);
+    });
+  } else {
+    messages.push({ address: address, args: [value] });
+  }
+}
+
+// Encode a string as null-terminated UTF-8, padded to a multiple of 4 bytes
+function encodeOSCString(str) {
+  const utf8 = new TextEncoder().encode(str);
+  const padded = new Uint8Array(Math.ceil((utf8.length + 1) / 4) * 4);
+  padded.set(utf8);
+  return padded;
+}
+
+// Encode a single OSC message (address, type tags and big-endian arguments)
+function encodeOSCMessage(address, args) {
+  let typeTags = ",";
+  const argParts = [];
+  const field = address.slice(address.lastIndexOf("/") + 1);
+  const integerField = OSC_INTEGER_FIELDS.includes(field);
+  const doubleField = OSC_DOUBLE_FIELDS.includes(field);
+  
+  args.forEach(arg => {
+    if (typeof arg === "boolean") {
+      // Booleans are carried entirely in the type tag
+      typeTags += arg ? "T" : "F";
+    } else if (typeof arg === "number") {
+      const bytes = new DataView(new ArrayBuffer(doubleField ? 8 : 4));
+      if (doubleField) {
+        typeTags += "d";
+        bytes.setFloat64(0, arg);
+      } else if (integerField && Math.abs(arg) < 2147483648) {
+        typeTags += "i";
+        bytes.setInt32(0, Math.round(arg));
+      } else {
+        typeTags += "f";
+        bytes.setFloat32(0, arg);
+      }
+      argParts.push(new Uint8Array(bytes.buffer));
+    } else {
+      typeTags += "s";
+      argParts.push(encodeOSCString(String(arg)));
+    }
+  });
+  
+  return concatBytes([encodeOSCString(address), encodeOSCString(typeTags)].concat(argParts));
+}
+
+// Wrap OSC messages in a bundle with an "immediately" time tag
+function encodeOSCBundle(messages) {
+  const timeTag = new DataView(new ArrayBuffer(8));
+  timeTag.setUint32(4, 1); // 0x0000000000000001 means "now" in OSC
+  
+  const parts = [encodeOSCString("#bundle"), new Uint8Array(timeTag.buffer)];
+  
+  messages.forEach(message => {
+    const encoded = encodeOSCMessage(message.address, message.args);
+    const size = new DataView(new ArrayBuffer(4));
+    size.setInt32(0, encoded.length);
+    parts.push(new Uint8Array(size.buffer), encoded);
+  });
+  
+  return concatBytes(parts).buffer;
+}
+
+// Join byte arrays into a single Uint8Array
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+// ---------------- BINARY TRACKING FRAMES ----------------
+
+// With config { binaryTracking: true } each trackingUpdate is sent as one
+// binary WebSocket message (an ArrayBuffer) instead of JSON or OSC - other
+// messages keep the output format. Frames start with the magic "TRKF", so they
+// can't be mistaken for OSC bundles ("#bundle"). All values are little-endian.
+//
+// Header - 16 bytes, struct "<4sBBHII"
+//   magic          4s  b"TRKF"
+//   version        B   BINARY_FRAME_VERSION
+//   playerCount    B   players in this frame
+//   keypointCount  H   keypoint slots per player
+//   frame          I   frame number, from 0 when binary tracking is switched on
+//   timestamp      I   ms since the page loaded
+//
+// Then playerCount player blocks - 8 + keypointCount * 12 bytes each
+//   playerId       I   struct "<Ii" - string IDs from TD are numbered from
+//                      BINARY_STRING_ID_BASE, listed in layout.stringPlayerIds
+//   score          i
+//   keypoints      keypointCount x struct "<fff": x, y, confidence
+//
+// Keypoint slots follow the streamed keypoints (sent as layout.keypoints in the
+// trackingLayout message) and use the connection's coordinate space. Keypoints
+// not currently tracked are NaN, NaN, 0.
+//
+// Unpacking in a TD Python callback (onReceiveBinary):
+//   magic, version, count, kpCount, frame, ts = struct.unpack_from("<4sBBHII", contents, 0)
+//   offset = 16
+//   for i in range(count):
+//       playerId, score = struct.unpack_from("<Ii", contents, offset)
+//       points = struct.unpack_from("<" + "fff" * kpCount, contents, offset + 8)
+//       offset += 8 + 12 * kpCount
+const BINARY_FRAME_MAGIC = "TRKF";
+const BINARY_FRAME_VERSION = 1;
+const BINARY_HEADER_SIZE = 16;
+const BINARY_PLAYER_HEADER_SIZE = 8;
+const BINARY_KEYPOINT_SIZE = 12; // x, y, confidence as Float32
+const BINARY_STRING_ID_BASE = 0x80000000; // Above any numeric player ID
+let binaryFrameNumber = 0;
+let binaryStringPlayerIds = {}; // String player ID -> its numeric ID in binary frames
+
+// Numeric player ID for a binary frame - each string ID keeps the number it was first given
+function getBinaryPlayerId(id) {
+  if (Number.isInteger(id) && id >= 0 && id < BINARY_STRING_ID_BASE) return id;
+  
+  const key = String(id);
+  if (binaryStringPlayerIds[key] === undefined) {
+    binaryStringPlayerIds[key] = BINARY_STRING_ID_BASE + Object.keys(binaryStringPlayerIds).length;
+  }
+  return binaryStringPlayerIds[key];
+}
+
+// Switch binary tracking frames on or off for this connection
+function setBinaryTracking(enabled) {
+  touchDesignerSession.binaryTracking = enabled;
+  binaryFrameNumber = 0;
+  updateStatusText("TouchDesigner tracking frames: " + (enabled ? "BINARY" : touchDesignerOutputFormat.toUpperCase()));
+  
+  if (enabled) {
+    players.forEach(player => getBinaryPlayerId(player.id));
+    sendTrackingLayout();
+  }
+  return enabled;
+}
+
+// Everything TD needs to unpack a frame
+function getBinaryTrackingLayout() {
+  return {
+    version: BINARY_FRAME_VERSION,
+    magic: BINARY_FRAME_MAGIC,
+    header: "<4sBBHII",
+    player: "<Ii",
+    keypoint: "<fff",
+    keypoints: streamedKeypoints,
+    stringPlayerIds: Object.assign({}, binaryStringPlayerIds)
+  };
+}
+
+function sendTrackingLayout() {
+  sendWebSocketData({ type: "trackingLayout", layout: getBinaryTrackingLayout() });
+}
+
+// Pack formatted players (see formatPlayers) into a binary tracking frame
+function encodeBinaryTrackingFrame(trackedPlayers) {
+  const keypointCount = streamedKeypoints.length;
+  const playerSize = BINARY_PLAYER_HEADER_SIZE + keypointCount * BINARY_KEYPOINT_SIZE;
+  const playerCount = Math.min(trackedPlayers.length, 255);
+  const buffer = new ArrayBuffer(BINARY_HEADER_SIZE + playerCount * playerSize);
+  const view = new DataView(buffer);
+  
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(i, BINARY_FRAME_MAGIC.charCodeAt(i));
+  }
+  view.setUint8(4, BINARY_FRAME_VERSION);
+  view.setUint8(5, playerCount);
+  view.setUint16(6, keypointCount, true);
+  view.setUint32(8, binaryFrameNumber++, true);
+  view.setUint32(12, Math.round(millis()) >>> 0, true);
+  
+  for (let p = 0; p < playerCount; p++) {
+    const player = trackedPlayers[p];
+    let offset = BINARY_HEADER_SIZE + p * playerSize;
+    view.setUint32(offset, getBinaryPlayerId(player.id), true);
+    view.setInt32(offset + 4, player.score, true);
+    offset += BINARY_PLAYER_HEADER_SIZE;
+    
+    // Only tracked keypoints are in the player's list - the rest stay NaN
+    const byPart = {};
+    player.keypoints.forEach(keypoint => byPart[keypoint.part] = keypoint);
+    
+    streamedKeypoints.forEach(part => {
+      const keypoint = byPart[part];
+      view.setFloat32(offset, keypoint ? keypoint.x : NaN, true);
+      view.setFloat32(offset + 4, keypoint ? keypoint.y : NaN, true);
+      view.setFloat32(offset + 8, keypoint ? keypoint.confidence : 0, true);
+      offset += BINARY_KEYPOINT_SIZE;
+    });
+  }
+  
+  return buffer;
+}
+
+// ---------------- CANVAS STREAMING ----------------
+
+// With config { canvasStream: { enabled: true } } the rendered canvas is sent
+// to TD as image frames, ready to use as a texture. Without the camera
+// (includeCamera: false) the frame holds only the game on a transparent
+// background - use PNG to keep the alpha, JPEG turns it black.
+//
+// Each frame is one binary WebSocket message: an 18-byte header, struct
+// "<4sBBHHII", followed by the encoded image
+//   magic      4s  b"IMGF"
+//   version    B   CANVAS_FRAME_VERSION
+//   format     B   0 = JPEG, 1 = PNG
+//   width      H   image size in px
+//   height     H
+//   frame      I   frame number, from 0 when streaming is switched on
+//   timestamp  I   ms since the page loaded
+//
+// In a TD Python callback (onReceiveBinary):
+//   magic, version, fmt, w, h, frame, ts = struct.unpack_from("<4sBBHHII", contents, 0)
+//   image = contents[18:]
+const CANVAS_FRAME_MAGIC = "IMGF";
+const CANVAS_FRAME_VERSION = 1;
+const CANVAS_FRAME_HEADER_SIZE = 18;
+const CANVAS_FRAME_FORMATS = { jpeg: 0, png: 1 };
+const CANVAS_STREAM_BUFFER_LIMIT = 1048576; // Skip frames while this many bytes still wait in the socket
+let canvasStream = {
+  enabled: false,
+  format: "jpeg",
+  quality: 0.8,        // JPEG quality, 0..1
+  width: null,         // Frame size in px - null uses the canvas size,
+  height: null,        // or keeps its aspect ratio when only one is set
+  fps: 15,
+  includeCamera: true
+};
+let canvasStreamFrameNumber = 0;
+let lastCanvasStreamTime = 0;
+let canvasStreamEncoding = false; // An encode is in flight - never queue up a second one
+let canvasStreamTarget = null;    // Scaled copy of the canvas that gets encoded
+let canvasStreamUnderlay = null;  // Last frame, kept while the game layer is drawn alone
+
+// Change the stream options - returns { error } when an option doesn't fit
+function setCanvasStream(options) {
+  const next = Object.assign({}, canvasStream, options);
+  
+  if (!CANVAS_FRAME_FORMATS.hasOwnProperty(next.format)) {
+    return { error: "Canvas stream format must be jpeg or png, got " + next.format };
+  }
+  if (typeof next.quality !== "number" || next.quality < 0 || next.quality > 1) {
+    return { error: "Canvas stream quality must be a number from 0 to 1" };
+  }
+  if (typeof next.fps !== "number" || next.fps <= 0 || next.fps > 60) {
+    return { error: "Canvas stream fps must be above 0 and at most 60" };
+  }
+  for (const side of ["width", "height"]) {
+    if (next[side] !== null && !(Number.isInteger(next[side]) && next[side] >= 16 && next[side] <= 4096)) {
+      return { error: `Canvas stream ${side} must be null or a whole number from 16 to 4096` };
+    }
+  }
+  
+  const wasEnabled = canvasStream.enabled;
+  canvasStream = {
+    enabled: next.enabled === true,
+    format: next.format,
+    quality: next.quality,
+    width: next.width,
+    height: next.height,
+    fps: next.fps,
+    includeCamera: next.includeCamera !== false
+  };
+  if (canvasStream.enabled && !wasEnabled) {
+    canvasStreamFrameNumber = 0;
+  }
+  
+  updateStatusText("Canvas stream: " + (canvasStream.enabled ?
+    `${canvasStream.format.toUpperCase()} at ${canvasStream.fps} fps` : "off"));
+  return Object.assign({}, canvasStream);
+}
+
+// Size of the streamed image for the current canvas
+function getCanvasStreamSize() {
+  let w = canvasStream.width;
+  let h = canvasStream.height;
+  if (w === null && h === null) {
+    w = width;
+    h = height;
+  } else if (w === null) {
+    w = Math.round(h * width / height);
+  } else if (h === null) {
+    h = Math.round(w * height / width);
+  }
+  return { width: w, height: h };
+}
+
+// True when this frame should be captured
+function isCanvasStreamFrameDue(currentTime) {
+  return canvasStream.enabled && webSocketConnected && !canvasStreamEncoding &&
+    !(touchDesignerWebSocket.bufferedAmount > CANVAS_STREAM_BUFFER_LIMIT) &&
+    currentTime - lastCanvasStreamTime >= 1000 / canvasStream.fps;
+}
+
+// Keep the last frame and clear the canvas, so the game is drawn on its own
+function beginGameLayerCapture() {
+  const source = drawingContext.canvas;
+  if (!canvasStreamUnderlay) {
+    canvasStreamUnderlay = document.createElement("canvas");
+  }
+  canvasStreamUnderlay.width = source.width;
+  canvasStreamUnderlay.height = source.height;
+  canvasStreamUnderlay.getContext("2d").drawImage(source, 0, 0);
+  clear();
+}
+
+// Put the camera and the faded last frame back in behind the game layer.
+// Layers are added front to back, which gives the same picture as drawBackgroundLayer then the game.
+function endGameLayerCapture() {
+  drawingContext.save();
+  drawingContext.globalCompositeOperation = "destination-over";
+  drawCameraLayer();
+  background(0, 10);
+  drawingContext.setTransform(1, 0, 0, 1, 0, 0);
+  drawingContext.drawImage(canvasStreamUnderlay, 0, 0);
+  drawingContext.restore();
+}
+
+// Scale the canvas into the stream target and send it once encoded
+function captureCanvasFrame(currentTime) {
+  const size = getCanvasStreamSize();
+  if (!canvasStreamTarget) {
+    canvasStreamTarget = document.createElement("canvas");
+  }
+  canvasStreamTarget.width = size.width;
+  canvasStreamTarget.height = size.height;
+  
+  const context = canvasStreamTarget.getContext("2d");
+  context.clearRect(0, 0, size.width, size.height);
+  context.drawImage(drawingContext.canvas, 0, 0, size.width, size.height);
+  
+  lastCanvasStreamTime = currentTime;
+  canvasStreamEncoding = true;
+  const format = canvasStream.format;
+  const frame = canvasStreamFrameNumber++;
+  
+  canvasStreamTarget.toBlob(blob => {
+    if (!blob) {
+      canvasStreamEncoding = false;
+      return;
+    }
+    blob.arrayBuffer().then(image => {
+      canvasStreamEncoding = false;
+      sendWebSocketData({
+        type: "canvasFrame",
+        format: format,
+        width: size.width,
+        height: size.height,
+        frame: frame,
+        timestamp: currentTime,
+        image: image
+      });
+    }).catch(e => {
+      canvasStreamEncoding = false;
+      console.error("Canvas stream encode failed:", e);
+    });
+  }, "image/" + format, canvasStream.quality);
+}
+
+// Header plus image bytes for one canvasFrame message
+function encodeCanvasFrame(data) {
+  const buffer = new ArrayBuffer(CANVAS_FRAME_HEADER_SIZE + data.image.byteLength);
+  const view = new DataView(buffer);
+  
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(i, CANVAS_FRAME_MAGIC.charCodeAt(i));
   }
+  view.setUint8(4, CANVAS_FRAME_VERSION);
+  view.setUint8(5, CANVAS_FRAME_FORMATS[data.format]);
+  view.setUint16(6, data.width, true);
+  view.setUint16(8, data.height, true);
+  view.setUint32(10, data.frame, true);
+  view.setUint32(14, Math.round(data.timestamp) >>> 0, true);
+  new Uint8Array(buffer, CANVAS_FRAME_HEADER_SIZE).set(new Uint8Array(data.image));
   
-  // Add new position to history
-  positionHistory[keypointType].push({x: newX, y: newY});
+  return buffer;
+}
+
+// ---------------- LOGIC-ONLY MODE ----------------
+
+// For shows where TD draws everything: the sketch keeps detecting poses and
+// running the game rules but renders nothing. TD gets every ball's state with
+// each tracking update (ballState) and an effectSpawn event for each visual
+// effect the sketch would have drawn. Effects are still simulated, so random
+// draws - and replays - match a rendered session.
+let logicOnlyMode = false;
+const PARTICLE_DURATION = Math.round(Math.ceil(255 / 12) * FIXED_TIMESTEP); // ms - see updateEffects
+const SCORE_TEXT_DURATION = Math.round(40 / 1.5 * FIXED_TIMESTEP); // ms for a 40-age score text
+
+function setLogicOnlyMode(enabled) {
+  logicOnlyMode = enabled;
+  updateStatusText("Logic-only mode: " + (enabled ? "ON - TouchDesigner renders the game" : "OFF"));
   
-  // Keep history at fixed length
-  if (positionHistory[keypointType].length > HISTORY_LENGTH) {
-    positionHistory[keypointType].shift();
+  // The canvas isn't redrawn from here on - leave a note rather than a frozen frame
+  if (enabled) {
+    background(0);
+    fill(255);
+    noStroke();
+    textAlign(CENTER, CENTER);
+    textSize(20);
+    text("Logic-only mode - TouchDesigner renders the game", width/2, height/2);
   }
+  return enabled;
+}
+
+// Every ball in the output space - velocity in output units per second
+function formatBalls(gameBalls) {
+  const scale = getCoordinateScale(touchDesignerSession.coordinates.space);
+  const ticksPerSecond = 1000 / FIXED_TIMESTEP;
   
-  // Calculate smoothed position with simpler weighted averaging
-  let smoothedX = 0;
-  let smoothedY = 0;
-  let totalWeight = 0;
-  const historyLength = positionHistory[keypointType].length;
+  return gameBalls.map(ball => {
+    const velocity = toOutputVector(ball.vx * ticksPerSecond, ball.speed * ticksPerSecond);
+    return Object.assign({ id: ball.id }, toOutputPoint(ball.x, ball.y), {
+      size: roundCoordinate(ball.size / scale.x),
+      vx: velocity.x,
+      vy: velocity.y,
+      type: ball.type,
+      hitsLeft: ball.hitsLeft,
+      touched: ball.touched
+    });
+  });
+}
+
+// Tell TD to draw an effect at a canvas position - only in logic-only mode.
+// Best effort like ballState: a stale effect is worse than a missing one, so these aren't queued
+function emitEffect(effect, x, y, fields) {
+  if (!logicOnlyMode) return;
   
-  for (let i = 0; i < historyLength; i++) {
-    // Linear weighting - simpler and faster than exponential
-    let weight = i + 1;
-    smoothedX += positionHistory[keypointType][i].x * weight;
-    smoothedY += positionHistory[keypointType][i].y * weight;
-    totalWeight += weight;
+  transmitWebSocketData(Object.assign({
+    type: "effectSpawn",
+    effect: effect, // particles, scoreText or banner
+    position: toOutputPoint(x, y),
+    timestamp: millis()
+  }, fields));
+}
+
+// ---------------- SETTINGS ----------------
+
+// Gameplay numbers that can be tuned at runtime - type, allowed range and default for each
+const SETTINGS_SCHEMA = {
+  interactionPadding: {
+    type: "number", min: 0, max: 300, default: 60,
+    description: "px added to a ball's radius when checking for hits"
+  },
+  spawnInterval: {
+    type: "integer", min: 50, max: 10000, default: null, nullable: true,
+    description: "ms between new balls - null uses the level's value"
+  },
+  maxBalls: {
+    type: "integer", min: 3, max: 100, default: null, nullable: true,
+    description: "Most balls on screen at once - null uses the level's value"
+  },
+  startLineHeight: {
+    type: "number", min: 0.05, max: 0.95, default: 0.6,
+    description: "Raise a hand above this fraction of the canvas height to start"
+  },
+  calibrationDuration: {
+    type: "integer", min: 250, max: 10000, default: 2000,
+    description: "ms to hold the start gesture, or hold still for a calibration point"
+  },
+  maxParticles: {
+    type: "integer", min: 0, max: 500, default: 30,
+    description: "Most hit particles alive at once"
+  },
+  tdUpdateInterval: {
+    type: "integer", min: 0, max: 1000, default: 33,
+    description: "ms between tracking updates sent to TouchDesigner"
+  }
+};
+let settings = getDefaultSettings();
+
+function getDefaultSettings() {
+  const defaults = {};
+  Object.keys(SETTINGS_SCHEMA).forEach(name => {
+    defaults[name] = SETTINGS_SCHEMA[name].default;
+  });
+  return defaults;
+}
+
+// Change one setting - returns { error } when the value doesn't fit the schema
+function setSetting(name, value) {
+  const schema = SETTINGS_SCHEMA[name];
+  if (!schema) {
+    return { error: "Unknown setting: " + name };
+  }
+  
+  if (value === null && schema.nullable) {
+    settings[name] = null;
+    return { name: name, value: null };
+  }
+  if (typeof value !== "number" || !isFinite(value) || (schema.type === "integer" && !Number.isInteger(value))) {
+    return { error: `Setting "${name}" must be ${schema.type === "integer" ? "an integer" : "a number"}` +
+      (schema.nullable ? " or null" : "") };
+  }
+  if (value < schema.min || value > schema.max) {
+    return { error: `Setting "${name}" must be between ${schema.min} and ${schema.max}` };
   }
   
+  settings[name] = value;
+  return { name: name, value: value };
+}
+
+// Change several settings at once - names that aren't settings are skipped, returns the errors
+function applySettings(values) {
+  const errors = [];
+  Object.keys(values).forEach(name => {
+    if (!SETTINGS_SCHEMA[name]) return;
+    
+    const result = setSetting(name, values[name]);
+    if (result.error) {
+      errors.push(result.error);
+    }
+  });
+  return errors;
+}
+
+// Put every setting back to its default
+function resetSettings() {
+  settings = getDefaultSettings();
+  return getConfig();
+}
+
+// Settings from the page URL, e.g. sketch.html?maxParticles=60&startLineHeight=0.5
+function loadSettingsFromQuery() {
+  const params = new URLSearchParams(window.location.search);
+  Object.keys(SETTINGS_SCHEMA).forEach(name => {
+    if (!params.has(name)) return;
+    
+    const raw = params.get(name);
+    const result = setSetting(name, raw === "null" ? null : Number(raw));
+    if (result.error) {
+      console.warn("Ignoring URL setting - " + result.error);
+    }
+  });
+}
+
+// Current values with the schema describing them
+function getConfig() {
   return {
-    x: smoothedX / totalWeight,
-    y: smoothedY / totalWeight
+    settings: Object.assign({}, settings),
+    schema: SETTINGS_SCHEMA
   };
 }
 
+function sendConfig() {
+  sendWebSocketData(Object.assign({ type: "config" }, getConfig()));
+}
+
 // ---------------- GAME FUNCTIONS ----------------
 
 // Setup function - OPTIMIZED
@@ -481,9 +3508,22 @@ function setup() {
     window.trackingData.modelStatus = "ready (TD only)";
   }
   
+  // Settings passed in the page URL
+  loadSettingsFromQuery();
+  if (new URLSearchParams(window.location.search).get("logicOnly") === "true") {
+    setLogicOnlyMode(true);
+  }
+  
   // Start camera immediately
   startCamera();
   
+  // Restore the saved leaderboard and camera calibration
+  loadLeaderboard();
+  loadCalibration();
+  
+  // Load level definitions (built-in levels apply until the file arrives)
+  loadLevelDefinitions("levels.json");
+  
   // Create initial balls
   createInitialBalls();
   
@@ -508,9 +3548,9 @@ function startCamera() {
     function(stream) {
       cameraPermissionState = "granted";
       
-      // Initialize pose detection if not using TouchDesigner sensors
+      // Initialize pose (or hand) detection if not using TouchDesigner sensors
       if (!useTouchDesignerSensors && ml5Available) {
-        initializePoseDetection();
+        initializeDetection();
       }
     });
     
@@ -525,6 +3565,38 @@ function startCamera() {
   }
 }
 
+// Load the detector for the current detection mode
+function initializeDetection() {
+  if (detectionMode === "hands") {
+    initializeHandDetection();
+  } else {
+    initializePoseDetection();
+  }
+}
+
+// Stop whichever detector is running so another can take over
+function stopDetection() {
+  if (isModelReady) {
+    const detector = detectionMode === "hands" ? handPose : bodyPose;
+    if (detector) detector.detectStop();
+  }
+  isModelReady = false;
+}
+
+// Initialize hand detection with ml5.js - two hands per player
+function initializeHandDetection() {
+  if (!ml5Available) {
+    updateStatusText("ML5 not available. Using TouchDesigner for motion sensing.");
+    return;
+  }
+  
+  handPose = ml5.handPose({
+    maxHands: maxPlayers * 2,
+    flipped: true,
+    modelType: "lite" // Faster model for kiosk frame rates
+  }, modelReady);
+}
+
 // Initialize pose detection with ml5.js - OPTIMIZED FOR PERFORMANCE
 function initializePoseDetection() {
   if (!ml5Available) {
@@ -539,10 +3611,11 @@ function initializePoseDetection() {
     outputStride: 16,          // Higher for faster processing
     flipHorizontal: true,
     minConfidence: 0.2,        // Higher threshold to reduce noise
-    maxPoseDetections: 1,      // Only detect one pose for better performance
+    maxPoseDetections: maxPlayers, // One pose per tracked player
+    modelType: maxPlayers > 1 ? 'MULTIPOSE_LIGHTNING' : 'SINGLEPOSE_LIGHTNING',
     scoreThreshold: 0.5,       // Higher threshold for better performance
     nmsRadius: 30,             // Higher for faster processing
-    detectionType: 'single',   // Only detect one pose
+    detectionType: maxPlayers > 1 ? 'multiple' : 'single',
     multiplier: 0.5            // Lower for faster processing
   }, modelReady);
 }
@@ -553,89 +3626,80 @@ function modelReady() {
   
   // Only start detection if we're not using TouchDesigner sensors
   if (!useTouchDesignerSensors && ml5Available) {
-    // Start detection with explicit callback
-    bodyPose.detectStart(video, gotPoses);
-    
-    // Get skeleton connections
-    connections = bodyPose.getSkeleton();
+    if (detectionMode === "hands") {
+      handPose.detectStart(video, gotHands);
+    } else {
+      // Start detection with explicit callback
+      bodyPose.detectStart(video, gotPoses);
+      
+      // Get skeleton connections
+      connections = bodyPose.getSkeleton();
+    }
+  }
+}
+
+// Callback function for when the model returns hand data
+function gotHands(results) {
+  // Only update hands from browser if we're not using TouchDesigner sensors or replaying
+  if (!useTouchDesignerSensors && !sessionReplay.active) {
+    recordSessionInput({ kind: "hands", hands: compactHands(results) });
+    applyHands(results);
   }
 }
 
 // Callback function for when the model returns pose data
 function gotPoses(results) {
-  // Only update poses from browser if we're not using TouchDesigner sensors
-  if (!useTouchDesignerSensors) {
-    poses = results;
-    
-    // Update trackingData for TouchDesigner
-    if (poses.length > 0) {
-      // Reset wrist activity flags
-      window.trackingData.wrists.left.active = false;
-      window.trackingData.wrists.right.active = false;
-      
-      // Only extract keypoints we need rather than all keypoints
-      const essentialKeypoints = ['leftWrist', 'rightWrist'];
-      
-      // Extract only essential keypoints with confidence
-      poses[0].keypoints.forEach((keypoint, index) => {
-        if (essentialKeypoints.includes(keypoint.part) || index === 9 || index === 10) {
-          // Special handling for wrists (used for interactions)
-          if ((index === 9 || keypoint.part === 'leftWrist') && keypoint.confidence > 0.2) {
-            // Apply smoothing
-            const smoothed = smoothPosition(keypoint.x, keypoint.y, 'leftWrist');
-            window.trackingData.wrists.left.x = smoothed.x;
-            window.trackingData.wrists.left.y = smoothed.y;
-            window.trackingData.wrists.left.active = true;
-          }
-          if ((index === 10 || keypoint.part === 'rightWrist') && keypoint.confidence > 0.2) {
-            // Apply smoothing
-            const smoothed = smoothPosition(keypoint.x, keypoint.y, 'rightWrist');
-            window.trackingData.wrists.right.x = smoothed.x;
-            window.trackingData.wrists.right.y = smoothed.y;
-            window.trackingData.wrists.right.active = true;
-          }
-        }
-      });
-      
-      // Check for start gesture
-      if (gameState === "waiting") {
-        checkStartGesture();
-      }
-    }
+  // Only update poses from browser if we're not using TouchDesigner sensors or replaying
+  if (!useTouchDesignerSensors && !sessionReplay.active) {
+    recordSessionInput({ kind: "poses", poses: compactPoses(results) });
+    applyPoses(results);
   }
 }
 
+// Turn detected poses into tracked players (live or replayed)
+function applyPoses(results) {
+  poses = results;
+  
+  // Match each detected pose to a persistent player ID
+  const detections = poses.slice(0, maxPlayers).map(pose => ({
+    keypoints: pose.keypoints,
+    centroid: getPoseCentroid(pose.keypoints)
+  }));
+  
+  assignPlayers(detections).forEach(({ player, detection }) => {
+    updatePlayerFromPose(player, detection.keypoints);
+  });
+  
+  // Update trackingData for TouchDesigner
+  refreshTrackingPlayers();
+}
+
 // IMPROVED: Check if the start gesture has been detected - SIMPLIFIED
 function checkStartGesture() {
   // Only check if we're waiting to start the game
   if (gameState !== "waiting") return;
   
-  // Get hand positions
-  const leftHand = window.trackingData.wrists.left;
-  const rightHand = window.trackingData.wrists.right;
-  
-  // Lower the threshold to make it easier to trigger (60% from top)
-  const heightThreshold = height * 0.6;
+  // Lower the threshold to make it easier to trigger (60% from top by default)
+  const heightThreshold = height * settings.startLineHeight;
   
-  // More lenient gesture detection - just need one hand above the threshold
-  const isHandRaised = 
-    (leftHand.active && leftHand.y < heightThreshold) || 
-    (rightHand.active && rightHand.y < heightThreshold);
+  // More lenient gesture detection - any pointer (a player's hand or a sensor) just needs
+  // to be above the threshold, or a pinch when tracking hands up close
+  const isHandRaised = inputPointers.some(pointer => pointer.y < heightThreshold);
   
   // Update start gesture detection
-  startGestureDetected = isHandRaised;
+  startGestureDetected = isHandTracking() ? isAnyHandPinching() : isHandRaised;
   
   // If gesture detected, start calibration
   if (startGestureDetected) {
     if (calibrationTime === 0) {
       // Start calibration
-      calibrationTime = millis();
+      calibrationTime = simulationTime;
     } else {
       // Check if calibration is complete
-      const elapsedTime = millis() - calibrationTime;
-      gestureProgressBar = elapsedTime / calibrationDuration;
+      const elapsedTime = simulationTime - calibrationTime;
+      gestureProgressBar = elapsedTime / settings.calibrationDuration;
       
-      if (elapsedTime >= calibrationDuration) {
+      if (elapsedTime >= settings.calibrationDuration) {
         // Calibration complete, start the game
         startGame();
       }
@@ -649,6 +3713,95 @@ function checkStartGesture() {
   }
 }
 
+// True while paused or counting down to resume
+function isGamePaused() {
+  return gameState === "paused" || gameState === "resuming";
+}
+
+// Freeze the game - also stops a resume countdown
+function pauseGame() {
+  if (gameState !== "playing" && gameState !== "resuming") return false;
+  
+  if (gameState === "playing") {
+    pausedAt = simulationTime;
+  }
+  gameState = "paused";
+  window.trackingData.gameState = gameState;
+  
+  emitGameEvent({
+    type: "gameStateChange",
+    state: "paused"
+  });
+  return true;
+}
+
+// Start the countdown back to playing
+function resumeGame() {
+  if (gameState !== "paused") return false;
+  
+  gameState = "resuming";
+  window.trackingData.gameState = gameState;
+  resumeAt = simulationTime + RESUME_COUNTDOWN;
+  
+  emitGameEvent({
+    type: "gameStateChange",
+    state: "resuming"
+  });
+  return true;
+}
+
+// Pause from a key or TouchDesigner command - recorded so a replay freezes on the same step
+function pauseFromInput() {
+  if (sessionReplay.active) return false;
+  recordSessionInput({ kind: "pause" });
+  return pauseGame();
+}
+
+// Resume from a key or TouchDesigner command - recorded like pauseFromInput
+function resumeFromInput() {
+  if (sessionReplay.active) return false;
+  recordSessionInput({ kind: "resume" });
+  return resumeGame();
+}
+
+// Pause when playing, resume when paused
+function togglePause() {
+  return gameState === "paused" ? resumeGame() : pauseGame();
+}
+
+// Finish the resume countdown - called each logic step while paused
+function updatePause() {
+  if (gameState !== "resuming" || simulationTime < resumeAt) return;
+  
+  // Push every game timer forward by the pause so none of them expired meanwhile
+  const pausedFor = simulationTime - pausedAt;
+  levelStartTime += pausedFor;
+  lastBallCreationTime += pausedFor;
+  balls.forEach(ball => ball.hitCooldownUntil += pausedFor);
+  players.forEach(player => player.combo.lastHitTime += pausedFor);
+  sharedCombo.lastHitTime += pausedFor;
+  
+  gameState = "playing";
+  window.trackingData.gameState = gameState;
+  
+  emitGameEvent({
+    type: "gameStateChange",
+    state: "playing"
+  });
+}
+
+// True when fingertips from hand detection drive the game
+function isHandTracking() {
+  return detectionMode === "hands" && !useTouchDesignerSensors;
+}
+
+// Start from a click, key or TouchDesigner command - recorded so a replay starts on the same step
+function startGameFromInput() {
+  if (sessionReplay.active) return;
+  recordSessionInput({ kind: "start" });
+  startGame();
+}
+
 // Start the game
 function startGame() {
   gameState = "playing";
@@ -659,6 +3812,15 @@ function startGame() {
   
   // Reset score
   score = 0;
+  players.forEach(player => player.score = 0);
+  
+  // Every game with the same seed spawns the same balls
+  rngState = simulationSeed;
+  
+  // Every game starts from the first level definition with full lives
+  setActiveLevel(1);
+  lives = startingLives;
+  resetAllCombos();
   
   // Clear existing balls and create new ones
   balls = [];
@@ -670,12 +3832,10 @@ function startGame() {
   }
   
   // Notify TouchDesigner that the game has started
-  if (webSocketConnected) {
-    sendWebSocketData({
-      type: "gameStateChange",
-      state: "playing"
-    });
-  }
+  emitGameEvent({
+    type: "gameStateChange",
+    state: "playing"
+  });
 }
 
 // Reset the game to waiting state
@@ -686,34 +3846,47 @@ function resetGame() {
   calibrationTime = 0;
   gestureProgressBar = 0;
   score = 0;
-  currentLevel = 1;
+  players.forEach(player => player.score = 0);
+  setActiveLevel(1);
+  lives = startingLives;
+  resetAllCombos();
   
   // Clear and recreate balls
   balls = [];
   createInitialBalls();
   
   // Notify TouchDesigner of game reset
-  if (webSocketConnected) {
-    sendWebSocketData({
-      type: "gameStateChange",
-      state: "waiting"
-    });
-  }
+  emitGameEvent({
+    type: "gameStateChange",
+    state: "waiting"
+  });
+}
+
+// Create a ball using the active level's size, speed and type settings
+function createBall(x, y, type = pickBallType()) {
+  const definition = BALL_TYPES[type];
+  return {
+    id: nextBallId++,
+    x: x,
+    y: y,
+    vx: 0,
+    size: randomRange(activeLevel.size[0], activeLevel.size[1]),
+    speed: randomRange(activeLevel.speed[0], activeLevel.speed[1]),
+    type: type,
+    hitsLeft: definition.hits,
+    hitCooldownUntil: 0,
+    touched: false,
+    color: color(definition.color[0], definition.color[1], definition.color[2], 220) // Add transparency for a nicer look
+  };
 }
 
 // Create initial set of balls
 function createInitialBalls() {
-  for (let i = 0; i < 5; i++) {
-    balls.push({
-      x: random(20, containerWidth - 20),
-      y: random(-100, -20), // Stagger the starting positions
-      size: random(30, 50),
-      speed: random(1, 4),
-      touched: false,
-      color: color(0, 0, 139, 220) // Add transparency for a nicer look
-    });
+  for (let i = 0; i < activeLevel.ballCount; i++) {
+    // Stagger the starting positions above the screen
+    balls.push(createBall(randomRange(20, containerWidth - 20), randomRange(-100, -20)));
   }
-  lastBallCreationTime = millis();
+  lastBallCreationTime = simulationTime;
   
   // Update trackingData with initial ball positions
   updateTrackingDataBalls();
@@ -721,14 +3894,8 @@ function createInitialBalls() {
 
 // Create a ball that's immediately visible on screen
 function createImmediateBall() {
-  balls.push({
-    x: random(50, width - 50),
-    y: random(100, height - 200), // Position somewhere in the middle of screen
-    size: random(40, 60),
-    speed: random(1, 3),
-    touched: false,
-    color: color(0, 0, 139, 220) // Original color with alpha
-  });
+  // Position somewhere in the middle of screen
+  balls.push(createBall(randomRange(50, width - 50), randomRange(100, height - 200)));
   
   // Update tracking data
   updateTrackingDataBalls();
@@ -736,15 +3903,8 @@ function createImmediateBall() {
 
 // Create a new ball at a random x position at the top of the screen
 function createNewBall() {
-  balls.push({
-    x: random(20, width - 20),
-    y: -20,
-    size: random(30, 50),
-    speed: random(1, 4),
-    touched: false,
-    color: color(0, 0, 139, 220) // Original color with alpha
-  });
-  lastBallCreationTime = millis();
+  balls.push(createBall(randomRange(20, width - 20), -20));
+  lastBallCreationTime = simulationTime;
   
   // Update tracking data
   updateTrackingDataBalls();
@@ -755,6 +3915,7 @@ function updateTrackingDataBalls() {
   // Only send essential ball data (position, touched state)
   // Round positions to integers to reduce data size
   window.trackingData.balls = balls.map(ball => ({
+    id: ball.id,
     x: Math.round(ball.x),
     y: Math.round(ball.y),
     touched: ball.touched
@@ -762,10 +3923,15 @@ function updateTrackingDataBalls() {
 }
 
 // Improved ball collision detection with better error handling and SIMPLIFIED
-function checkBallCollision(x, y) {
+// player is optional - mouse and touch hits only count towards the total score
+// motion is the pointer's { vx, vy, speed } in px/s - mouse, touch and keyboard hits have none
+function checkBallCollision(x, y, player, motion) {
   // Skip if coordinates invalid
   if (isNaN(x) || isNaN(y)) return;
   
+  // In swipe mode a hand resting in a ball's path doesn't count
+  if (motion && motion.speed < minSwipeSpeed) return;
+  
   for (let i = 0; i < balls.length; i++) {
     let ball = balls[i];
     
@@ -775,57 +3941,276 @@ function checkBallCollision(x, y) {
     let distanceSq = dx * dx + dy * dy;
     
     // MUCH more generous interaction radius
-    const interactionRadius = ball.size / 2 + 60; // Very large radius for easier interaction
+    const interactionRadius = ball.size / 2 + settings.interactionPadding; // Very large radius for easier interaction
     const interactionRadiusSq = interactionRadius * interactionRadius;
     
-    if (distanceSq < interactionRadiusSq && !ball.touched) {
-      ball.touched = true;
-      
-      // Only increment score if we're in playing state
-      if (gameState === "playing") {
-        score++;
-        
-        // Add visual feedback text
-        if (scoreTexts.length < MAX_SCORE_TEXTS) {
-          createScoreText(ball.x, ball.y);
-        }
+    if (distanceSq < interactionRadiusSq && !ball.touched && simulationTime >= ball.hitCooldownUntil) {
+      hitBall(ball, player, motion);
+    }
+  }
+}
+
+// Apply a hit to a ball according to its type
+function hitBall(ball, player, motion) {
+  const type = BALL_TYPES[ball.type];
+  
+  ball.hitsLeft--;
+  ball.hitCooldownUntil = simulationTime + HIT_COOLDOWN;
+  const destroyed = ball.hitsLeft <= 0;
+  const combo = player ? player.combo : sharedCombo;
+  
+  // Finished balls extend the combo (bombs break it) and earn the multiplier
+  if (destroyed && gameState === "playing") {
+    if (type.hazard) {
+      resetCombo(combo);
+    } else {
+      extendCombo(combo, player);
+    }
+  }
+  const points = !destroyed ? 0 : type.points > 0 ? type.points * combo.multiplier : type.points;
+  
+  if (destroyed) {
+    ball.touched = true;
+    ball.hitBy = player ? player.id : null;
+  }
+  
+  // Only change the score if we're in playing state
+  if (gameState === "playing") {
+    if (destroyed) {
+      score = Math.max(0, score + points);
+      levelScore = Math.max(0, levelScore + points);
+      if (!type.hazard) {
+        levelHits++;
       }
-      
-      // Simpler visual feedback - less particles for better performance
-      ball.size *= 1.5; // Reduced from 1.8 for better performance
-      ball.speed *= 1.5; // Reduced from 2 for better performance
-      
-      // Create fewer particles for performance
-      const particleCount = Math.min(10, MAX_PARTICLES - particles.length);
-      for (let j = 0; j < particleCount; j++) {
-        createParticle(ball.x, ball.y);
+      if (player) {
+        player.score = Math.max(0, player.score + points);
       }
-      
-      // Update tracking data
-      updateTrackingDataBalls();
-      
-      // Notify TouchDesigner of successful hit
-      if (webSocketConnected) {
-        sendWebSocketData({
-          type: "ballHit",
-          position: { x: Math.round(ball.x), y: Math.round(ball.y) },
-          score: score
-        });
+      if (type.lifeCost) {
+        lives = Math.max(0, lives - type.lifeCost);
       }
     }
+    
+    // Add visual feedback text - points, or hits still needed
+    if (scoreTexts.length < MAX_SCORE_TEXTS) {
+      createScoreText(ball.x, ball.y, ball.type, destroyed ? points : null, ball.hitsLeft);
+    }
+  }
+  
+  if (destroyed) {
+    if (type.splitInto) {
+      splitBall(ball);
+    }
+    
+    // Simpler visual feedback - less particles for better performance
+    ball.size *= 1.5; // Reduced from 1.8 for better performance
+    
+    if (motion && motion.speed > 0) {
+      // Knock the ball off along the swipe, harder swipes sending it faster
+      const flySpeed = Math.min(motion.speed * FLY_OFF_SCALE, MAX_FLY_OFF_SPEED);
+      ball.vx = motion.vx / motion.speed * flySpeed;
+      ball.speed = motion.vy / motion.speed * flySpeed;
+    } else {
+      ball.speed *= 1.5; // Reduced from 2 for better performance
+    }
+  }
+  
+  // Create fewer particles for performance - even fewer for a partial hit
+  const particleCount = Math.min(destroyed ? 10 : 4, settings.maxParticles - particles.length);
+  for (let j = 0; j < particleCount; j++) {
+    createParticle(ball.x, ball.y, type.color);
+  }
+  emitEffect("particles", ball.x, ball.y, { color: type.color, count: destroyed ? 10 : 4, duration: PARTICLE_DURATION });
+  
+  // Update tracking data
+  updateTrackingDataBalls();
+  
+  // Notify TouchDesigner of successful hit
+  const impact = motion ? toOutputVector(motion.vx, motion.vy) : null;
+  emitGameEvent({
+    type: "ballHit",
+    ballId: ball.id,
+    position: toOutputPoint(ball.x, ball.y),
+    ballType: ball.type,
+    points: points,
+    hitsLeft: Math.max(0, ball.hitsLeft),
+    destroyed: destroyed,
+    combo: combo.count,
+    multiplier: combo.multiplier,
+    score: score,
+    lives: lives,
+    playerId: player ? player.id : null,
+    playerScore: player ? player.score : null,
+    // Swipe strength and direction (degrees from +x towards +y) in the output space - null for mouse/touch
+    impactSpeed: impact ? impact.speed : null,
+    impactAngle: impact ? impact.angle : null
+  });
+}
+
+// Break a splitting ball into smaller normal balls that drift apart
+function splitBall(ball) {
+  const count = BALL_TYPES[ball.type].splitInto;
+  
+  for (let i = 0; i < count; i++) {
+    const child = createBall(ball.x, ball.y, "normal");
+    child.size = ball.size * 0.6;
+    child.speed = ball.speed;
+    child.vx = (i - (count - 1) / 2) * 2; // Spread sideways
+    child.hitCooldownUntil = simulationTime + HIT_COOLDOWN; // Can't be hit by the same swipe
+    balls.push(child);
+  }
+}
+
+// Fresh combo state for a player (or the shared mouse/touch combo)
+function createComboState() {
+  return { count: 0, multiplier: 1, lastHitTime: 0 };
+}
+
+// Count a hit towards a combo and fire streak milestones
+function extendCombo(combo, player) {
+  if (combo.count > 0 && simulationTime - combo.lastHitTime > COMBO_WINDOW) {
+    combo.count = 0;
+  }
+  
+  combo.count++;
+  combo.multiplier = Math.min(1 + Math.floor((combo.count - 1) / COMBO_STEP), MAX_COMBO_MULTIPLIER);
+  combo.lastHitTime = simulationTime;
+  
+  if (STREAK_MILESTONES.includes(combo.count)) {
+    triggerStreakMilestone(combo, player);
+  }
+}
+
+// Drop a combo back to zero
+function resetCombo(combo) {
+  combo.count = 0;
+  combo.multiplier = 1;
+}
+
+// Reset every player's combo and the shared one
+function resetAllCombos() {
+  players.forEach(player => resetCombo(player.combo));
+  resetCombo(sharedCombo);
+}
+
+// Let combos lapse once their time window has passed
+function updateCombos() {
+  players.forEach(player => {
+    if (player.combo.count > 0 && simulationTime - player.combo.lastHitTime > COMBO_WINDOW) {
+      resetCombo(player.combo);
+    }
+  });
+  if (sharedCombo.count > 0 && simulationTime - sharedCombo.lastHitTime > COMBO_WINDOW) {
+    resetCombo(sharedCombo);
+  }
+}
+
+// Celebrate a streak milestone on screen and tell TouchDesigner
+function triggerStreakMilestone(combo, player) {
+  const bannerColor = player ? player.color : [255, 200, 0];
+  
+  const banner = {
+    label: combo.count + " STREAK!" + (player && players.length > 1 ? " (P" + player.id + ")" : ""),
+    color: bannerColor,
+    age: 0,
+    maxAge: 90
+  };
+  streakBanners.push(banner);
+  emitEffect("banner", width / 2, height / 3, {
+    label: banner.label,
+    color: bannerColor,
+    duration: Math.round(banner.maxAge * FIXED_TIMESTEP)
+  });
+  
+  // Burst of particles from the centre of the screen
+  const particleCount = settings.maxParticles - particles.length;
+  for (let i = 0; i < particleCount; i++) {
+    createParticle(width / 2, height / 3, bannerColor);
+  }
+  emitEffect("particles", width / 2, height / 3, { color: bannerColor, count: settings.maxParticles, duration: PARTICLE_DURATION });
+  
+  emitGameEvent({
+    type: "streakMilestone",
+    combo: combo.count,
+    multiplier: combo.multiplier,
+    playerId: player ? player.id : null
+  });
+}
+
+// Take a life for a ball that fell past the bottom untouched
+function registerMiss(ball) {
+  lives = Math.max(0, lives - 1);
+  
+  // A miss breaks everyone's combo
+  resetAllCombos();
+  
+  // Show the miss where the ball left the screen
+  if (scoreTexts.length < MAX_SCORE_TEXTS) {
+    scoreTexts.push({
+      x: constrain(ball.x, 40, width - 40),
+      y: height - 40,
+      label: "MISS",
+      color: [255, 60, 60],
+      size: 24,
+      age: 0,
+      maxAge: 40
+    });
+  }
+  emitEffect("scoreText", constrain(ball.x, 40, width - 40), height - 40, {
+    label: "MISS",
+    color: [255, 60, 60],
+    size: 24,
+    duration: SCORE_TEXT_DURATION
+  });
+  
+  // Notify TouchDesigner of the miss
+  emitGameEvent({
+    type: "ballMissed",
+    ballId: ball.id,
+    position: toOutputPoint(ball.x, height),
+    ballType: ball.type,
+    lives: lives
+  });
+}
+
+// Set the wrist speed (px/s) a hit needs - 0 turns swipe mode off
+function setMinSwipeSpeed(speed) {
+  minSwipeSpeed = Math.max(0, Number(speed) || 0);
+  return minSwipeSpeed;
+}
+
+// Set how many lives each new game starts with
+function setStartingLives(count) {
+  startingLives = constrain(Math.round(count) || 1, 1, 99);
+  if (gameState !== "playing") {
+    lives = startingLives;
   }
+  return startingLives;
 }
 
 // Update balls - OPTIMIZED for better performance
 function updateBalls() {
-  // Remove balls that have fallen off the bottom
-  balls = balls.filter(ball => ball.y < height + ball.size);
+  // Remove balls that have fallen off the bottom - untouched ones count as misses
+  balls = balls.filter(ball => {
+    // Hit balls can be knocked off any edge
+    if (ball.touched && (ball.y < -ball.size || ball.x < -ball.size || ball.x > width + ball.size)) {
+      return false;
+    }
+    if (ball.y < height + ball.size) return true;
+    
+    if (gameState === "playing" && !ball.touched && !BALL_TYPES[ball.type].hazard) {
+      registerMiss(ball);
+    }
+    return false;
+  });
   
   // Only add new balls if we're in playing state
   if (gameState === "playing") {
     // Add new balls at a controlled rate
-    const currentTime = millis();
-    if ((currentTime - lastBallCreationTime > 1000 || balls.length < 5) && balls.length < 15) {
+    const currentTime = simulationTime;
+    const spawnInterval = settings.spawnInterval !== null ? settings.spawnInterval : activeLevel.spawnInterval;
+    const maxBalls = settings.maxBalls !== null ? settings.maxBalls : activeLevel.maxBalls;
+    if ((currentTime - lastBallCreationTime > spawnInterval || balls.length < activeLevel.ballCount) &&
+        balls.length < maxBalls) {
       createNewBall();
     }
     
@@ -842,9 +4227,10 @@ function updateBalls() {
     // Update position with minimal randomness for natural movement
     if (gameState === "playing") { // Only move balls when playing
       ball.y += ball.speed;
+      ball.x += ball.vx;
       // Apply horizontal drift only occasionally for performance
-      if (frameCount % 3 === 0) {
-        ball.x += random(-0.3, 0.3); // Reduced drift
+      if (simulationTick % 3 === 0) {
+        ball.x += randomRange(-0.3, 0.3); // Reduced drift
       }
     }
   }
@@ -859,53 +4245,131 @@ function drawBalls() {
     // Only show balls if in playing state or if they've been explicitly touched
     if (gameState === "playing" || ball.touched) {
       if (ball.touched) {
+        // Glow in the hitting player's colour, pink for mouse/touch hits, red for bombs
+        const hitter = players.find(player => player.id === ball.hitBy);
+        const hitColor = BALL_TYPES[ball.type].hazard ? [255, 60, 60] :
+          hitter ? hitter.color : [255, 192, 203];
+        
         // Simplified glow for touched balls
         noStroke();
-        fill(255, 192, 203, 60);
+        fill(hitColor[0], hitColor[1], hitColor[2], 60);
         circle(ball.x, ball.y, ball.size * 1.3);
         
         // Then draw the ball
-        fill(255, 192, 203); // Pink for touched balls
+        fill(hitColor[0], hitColor[1], hitColor[2]);
+        circle(ball.x, ball.y, ball.size);
       } else {
-        // Simplified appearance for untouched balls
-        noStroke();
-        fill(0, 0, 139, 220); // Dark blue for untouched balls
+        drawBallByType(ball);
       }
-      
-      circle(ball.x, ball.y, ball.size);
     }
   }
 }
 
-// Create floating score text
-function createScoreText(x, y) {
+// Draw an untouched ball with its type's look - SIMPLIFIED
+function drawBallByType(ball) {
+  const c = BALL_TYPES[ball.type].color;
+  noStroke();
+  
+  if (ball.type === "bonus") {
+    // Pulsing golden glow
+    const pulse = 1.2 + 0.15 * Math.sin(frameCount * 0.2);
+    fill(c[0], c[1], c[2], 70);
+    circle(ball.x, ball.y, ball.size * pulse);
+    fill(c[0], c[1], c[2], 230);
+    circle(ball.x, ball.y, ball.size);
+    fill(255, 255, 255, 180);
+    circle(ball.x - ball.size * 0.15, ball.y - ball.size * 0.15, ball.size * 0.25);
+  } else if (ball.type === "bomb") {
+    // Dark body, fuse and a blinking red core
+    fill(c[0], c[1], c[2], 240);
+    circle(ball.x, ball.y, ball.size);
+    stroke(200, 150, 50);
+    strokeWeight(3);
+    line(ball.x, ball.y - ball.size / 2, ball.x + ball.size * 0.2, ball.y - ball.size * 0.75);
+    noStroke();
+    fill(255, 0, 0, frameCount % 20 < 10 ? 255 : 90);
+    circle(ball.x, ball.y, ball.size * 0.3);
+  } else if (ball.type === "multiHit") {
+    // Thicker ring per remaining hit, with the count in the middle
+    fill(c[0], c[1], c[2], 220);
+    circle(ball.x, ball.y, ball.size);
+    noFill();
+    stroke(255, 255, 255, 180);
+    strokeWeight(ball.hitsLeft * 2);
+    circle(ball.x, ball.y, ball.size * 0.8);
+    noStroke();
+    fill(255);
+    textAlign(CENTER, CENTER);
+    textSize(ball.size * 0.4);
+    text(ball.hitsLeft, ball.x, ball.y);
+  } else if (ball.type === "splitter") {
+    // Cross marks where the ball will split
+    fill(c[0], c[1], c[2], 220);
+    circle(ball.x, ball.y, ball.size);
+    stroke(255, 255, 255, 200);
+    strokeWeight(2);
+    line(ball.x - ball.size * 0.35, ball.y, ball.x + ball.size * 0.35, ball.y);
+    line(ball.x, ball.y - ball.size * 0.35, ball.x, ball.y + ball.size * 0.35);
+    noStroke();
+  } else {
+    // Simplified appearance for normal balls
+    fill(c[0], c[1], c[2], 220);
+    circle(ball.x, ball.y, ball.size);
+  }
+}
+
+// Create floating score text - points for a finished ball, or hits still needed
+function createScoreText(x, y, ballType = "normal", points = 1, hitsLeft = 0) {
+  let label;
+  let textColor;
+  
+  if (points === null) {
+    label = hitsLeft + " more!";
+    textColor = [200, 150, 255];
+  } else if (points < 0) {
+    label = String(points);
+    textColor = [255, 60, 60];
+  } else {
+    label = "+" + points;
+    textColor = ballType === "bonus" ? [255, 200, 0] : [255, 255, 0];
+  }
+  
   scoreTexts.push({
     x: x,
     y: y,
+    label: label,
+    color: textColor,
+    size: ballType === "bonus" ? 30 : 20,
     age: 0,
     maxAge: 40 // Reduced frames for better performance (originally 60)
   });
+  emitEffect("scoreText", x, y, {
+    label: label,
+    color: textColor,
+    size: ballType === "bonus" ? 30 : 20,
+    duration: SCORE_TEXT_DURATION
+  });
 }
 
 // Create explosion particles when ball is hit
-function createParticle(x, y) {
+function createParticle(x, y, particleColor = [255, 255, 255]) {
   // Only create particles if we don't already have too many
-  if (particles.length < MAX_PARTICLES) {
+  if (particles.length < settings.maxParticles) {
     particles.push({
       x: x,
       y: y,
-      vx: random(-2, 2), // Reduced velocity range
-      vy: random(-4, 0), // Reduced velocity range
-      size: random(5, 10), // Smaller particles
-      color: color(255, 255, 255, 200),
+      vx: randomRange(-2, 2), // Reduced velocity range
+      vy: randomRange(-4, 0), // Reduced velocity range
+      size: randomRange(5, 10), // Smaller particles
+      color: particleColor,
       life: 255 // Will fade out
     });
   }
 }
 
-// Draw particles and score texts - OPTIMIZED
-function drawEffects() {
-  // Draw particles with simplified physics
+// Advance particles and score texts by one simulation step
+function updateEffects() {
+  // Simplified particle physics
   for (let i = particles.length - 1; i >= 0; i--) {
     let p = particles[i];
     p.x += p.vx;
@@ -915,15 +4379,10 @@ function drawEffects() {
     
     if (p.life <= 0) {
       particles.splice(i, 1);
-    } else {
-      noStroke();
-      fill(255, 255, 255, p.life);
-      circle(p.x, p.y, p.size);
     }
   }
   
-  // Draw score texts
-  textAlign(CENTER, CENTER);
+  // Float score texts upward
   for (let i = scoreTexts.length - 1; i >= 0; i--) {
     let t = scoreTexts[i];
     t.y -= 2; // Float upward
@@ -931,61 +4390,746 @@ function drawEffects() {
     
     if (t.age >= t.maxAge) {
       scoreTexts.splice(i, 1);
-    } else {
-      // Fade out towards the end
-      let alpha = map(t.age, 0, t.maxAge, 255, 0);
-      fill(255, 255, 0, alpha);
-      textSize(20);
-      text("+1", t.x, t.y);
     }
   }
+  
+  // Age streak banners
+  for (let i = streakBanners.length - 1; i >= 0; i--) {
+    streakBanners[i].age++;
+    if (streakBanners[i].age >= streakBanners[i].maxAge) {
+      streakBanners.splice(i, 1);
+    }
+  }
+}
+
+// Draw particles and score texts - OPTIMIZED
+function drawEffects() {
+  // Draw particles
+  noStroke();
+  for (let i = 0; i < particles.length; i++) {
+    let p = particles[i];
+    fill(p.color[0], p.color[1], p.color[2], p.life);
+    circle(p.x, p.y, p.size);
+  }
+  
+  // Draw score texts
+  textAlign(CENTER, CENTER);
+  for (let i = 0; i < scoreTexts.length; i++) {
+    let t = scoreTexts[i];
+    
+    // Fade out towards the end
+    let alpha = map(t.age, 0, t.maxAge, 255, 0);
+    fill(t.color[0], t.color[1], t.color[2], alpha);
+    textSize(t.size);
+    text(t.label, t.x, t.y);
+  }
+  
+  // Draw streak banners - pop in, then fade out
+  for (let i = 0; i < streakBanners.length; i++) {
+    let b = streakBanners[i];
+    let alpha = map(b.age, 0, b.maxAge, 255, 0);
+    let bannerSize = 64 * Math.min(1, 0.5 + b.age / 10);
+    fill(b.color[0], b.color[1], b.color[2], alpha);
+    textSize(bannerSize);
+    text(b.label, width / 2, height / 3 - i * 70);
+  }
 }
 
 // Check if level is complete - SIMPLIFIED
 function checkLevelComplete() {
-  const allTouched = balls.every(ball => ball.touched);
-  const noBallsLeft = balls.length === 0;
-  
-  if ((allTouched || noBallsLeft) && gameState === "playing") {
-    currentLevel++;
-    levelBallCount = Math.min(levelBallCount + 2, 15);
-    levelSpeed = Math.min(levelSpeed + 0.5, 5);
-    levelBallSize = Math.max(levelBallSize - 2, 20);
+  if (gameState === "playing" && isLevelWon()) {
+    setActiveLevel(currentLevel + 1);
     
     // Clear balls and create new ones for next level
     balls = [];
     createInitialBalls();
     
     // Notify TouchDesigner of level change
-    if (webSocketConnected) {
-      sendWebSocketData({
-        type: "levelChange",
-        level: currentLevel
-      });
+    emitGameEvent({
+      type: "levelChange",
+      level: currentLevel,
+      definition: activeLevel
+    });
+  }
+}
+
+// Test the active level's win condition
+function isLevelWon() {
+  const target = activeLevel.winCondition.target;
+  
+  switch (activeLevel.winCondition.type) {
+    case "hits":
+      return levelHits >= target;
+    case "score":
+      return levelScore >= target;
+    case "time":
+      return simulationTime - levelStartTime >= target;
+    default: {
+      // "clear" - every ball on screen has been hit (bombs are meant to be avoided)
+      const allTouched = balls.every(ball => ball.touched || BALL_TYPES[ball.type].hazard);
+      const noBallsLeft = balls.length === 0;
+      return allTouched || noBallsLeft;
     }
   }
 }
 
 // Game completion check - SIMPLIFIED
 function checkGameOver() {
-  // If all balls have fallen off screen without being touched, game over
-  if (balls.length === 0 && gameState === "playing") {
+  // Game over once the players run out of lives
+  if (lives <= 0 && gameState === "playing") {
     gameState = "gameOver";
     window.trackingData.gameState = gameState;
+    gameOverQualifies = qualifiesForLeaderboard(score);
     
-    // Add a delay before returning to waiting state
-    setTimeout(() => {
-      resetGame();
-    }, 3000);
+    // Add a delay before returning to waiting state - or entering initials for a top-ten score
+    gameOverUntil = simulationTime + GAME_OVER_DELAY;
     
     // Notify TouchDesigner of game over
-    if (webSocketConnected) {
-      sendWebSocketData({
-        type: "gameOver",
-        score: score
-      });
+    emitGameEvent({
+      type: "gameOver",
+      score: score,
+      level: currentLevel
+    });
+  }
+}
+
+// Leave the game over screen once its delay has run out on the simulation clock
+function updateGameOver() {
+  if (simulationTime < gameOverUntil) return;
+  
+  if (gameOverQualifies) {
+    startInitialsEntry();
+  } else {
+    resetGame();
+  }
+}
+
+// Send a game event to TouchDesigner and add it to any running recording
+function emitGameEvent(data) {
+  recordSessionEvent(data);
+  
+  // Queued even while disconnected - see queueOutboundEvent
+  sendWebSocketData(data);
+}
+
+// ---------------- LEVEL DEFINITIONS ----------------
+
+// Switch to a level number - levels past the last definition reuse the last one
+function setActiveLevel(level) {
+  currentLevel = level;
+  activeLevel = levelDefinitions[Math.min(level, levelDefinitions.length) - 1];
+  levelHits = 0;
+  levelScore = 0;
+  levelStartTime = simulationTime;
+}
+
+// Pick a ball type from the active level's weighted ballTypes
+function pickBallType() {
+  const types = Object.keys(activeLevel.ballTypes);
+  const total = types.reduce((sum, type) => sum + activeLevel.ballTypes[type], 0);
+  
+  let roll = seededRandom() * total;
+  for (let i = 0; i < types.length; i++) {
+    roll -= activeLevel.ballTypes[types[i]];
+    if (roll < 0) return types[i];
+  }
+  return types[types.length - 1];
+}
+
+// Check a [min, max] range field - returns an error string or null
+function checkRange(value, name) {
+  if (!Array.isArray(value) || value.length !== 2 ||
+      typeof value[0] !== "number" || typeof value[1] !== "number" || value[0] > value[1]) {
+    return name + " must be a [min, max] pair of numbers";
+  }
+  return null;
+}
+
+// Fill in defaults and validate one level definition - returns { level } or { error }
+function normalizeLevelDefinition(definition, index) {
+  const level = Object.assign({}, DEFAULT_LEVELS[0], definition, { level: index + 1 });
+  const prefix = "Level " + (index + 1) + ": ";
+  
+  // A plain list of type names means equal weights
+  if (Array.isArray(level.ballTypes)) {
+    const weights = {};
+    level.ballTypes.forEach(type => weights[type] = 1);
+    level.ballTypes = weights;
+  }
+  
+  const error =
+    checkRange(level.speed, "speed") ||
+    checkRange(level.size, "size") ||
+    (!(level.spawnInterval > 0) ? "spawnInterval must be a positive number" : null) ||
+    (!(level.ballCount >= 0) ? "ballCount must be zero or more" : null) ||
+    (!(level.maxBalls >= level.ballCount) ? "maxBalls must be at least ballCount" : null) ||
+    (typeof level.ballTypes !== "object" || level.ballTypes === null || Object.keys(level.ballTypes).length === 0 ?
+      "ballTypes must list at least one type" : null) ||
+    (Object.keys(level.ballTypes).some(type => !BALL_TYPES[type]) ?
+      "ballTypes must only use " + Object.keys(BALL_TYPES).join(", ") : null) ||
+    (Object.values(level.ballTypes).some(weight => !(typeof weight === "number" && weight > 0)) ?
+      "ballTypes weights must be positive numbers" : null) ||
+    (!level.winCondition || !WIN_CONDITION_TYPES.includes(level.winCondition.type) ?
+      "winCondition.type must be one of " + WIN_CONDITION_TYPES.join(", ") : null) ||
+    (level.winCondition.type !== "clear" && !(level.winCondition.target > 0) ?
+      "winCondition.target must be a positive number" : null);
+  
+  return error ? { error: prefix + error } : { level: level };
+}
+
+// Validate and install a { levels: [...] } document
+function applyLevelDefinitions(data, source) {
+  if (!data || !Array.isArray(data.levels) || data.levels.length === 0) {
+    sendProtocolError("invalidLevels", "Level data must contain a non-empty \"levels\" array", "loadLevels");
+    return false;
+  }
+  
+  const levels = [];
+  for (let i = 0; i < data.levels.length; i++) {
+    const result = normalizeLevelDefinition(data.levels[i], i);
+    if (result.error) {
+      sendProtocolError("invalidLevels", result.error, "loadLevels");
+      return false;
+    }
+    levels.push(result.level);
+  }
+  
+  levelDefinitions = levels;
+  
+  // Keep the current level number, picking up its new definition
+  activeLevel = levelDefinitions[Math.min(currentLevel, levelDefinitions.length) - 1];
+  
+  updateStatusText("Loaded " + levels.length + " levels from " + source);
+  sendWebSocketData({ type: "levelsLoaded", count: levels.length, source: source });
+  return true;
+}
+
+// Fetch level definitions from a JSON file
+function loadLevelDefinitions(url) {
+  fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error("HTTP " + response.status);
+      return response.json();
+    })
+    .then(data => applyLevelDefinitions(data, url))
+    .catch(e => updateStatusText("Could not load levels from " + url + " (" + e.message + ") - using built-in levels"));
+}
+
+// ---------------- LEADERBOARD ----------------
+
+// Today's date as YYYY-MM-DD in local time, used to roll over the daily table
+function getTodayKey() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, "0");
+  return now.getFullYear() + "-" + pad(now.getMonth() + 1) + "-" + pad(now.getDate());
+}
+
+// Read the leaderboard from localStorage, starting a new daily table on a new day
+function loadLeaderboard() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY));
+    if (saved && Array.isArray(saved.allTime) && saved.daily && Array.isArray(saved.daily.entries)) {
+      leaderboard = saved;
+    }
+  } catch (e) {
+    console.warn("Could not read saved leaderboard:", e);
+  }
+  
+  if (leaderboard.daily.date !== getTodayKey()) {
+    leaderboard.daily = { date: getTodayKey(), entries: [] };
+  }
+}
+
+// Write the leaderboard to localStorage
+function saveLeaderboard() {
+  try {
+    localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(leaderboard));
+  } catch (e) {
+    console.warn("Could not save leaderboard:", e);
+  }
+}
+
+// Would this score make either table?
+function qualifiesForLeaderboard(finalScore) {
+  loadLeaderboard(); // Rolls the daily table over if the date changed mid-session
+  
+  const makesTable = entries =>
+    entries.length < LEADERBOARD_SIZE || finalScore > entries[entries.length - 1].score;
+  return finalScore > 0 && (makesTable(leaderboard.daily.entries) || makesTable(leaderboard.allTime));
+}
+
+// Insert a score into a table - returns its 1-based rank, or null if it didn't make it
+function insertLeaderboardEntry(entries, entry) {
+  let rank = entries.findIndex(existing => entry.score > existing.score);
+  if (rank === -1) rank = entries.length;
+  if (rank >= LEADERBOARD_SIZE) return null;
+  
+  entries.splice(rank, 0, entry);
+  entries.length = Math.min(entries.length, LEADERBOARD_SIZE);
+  return rank + 1;
+}
+
+// Record a finished game in both tables and tell TouchDesigner
+function addLeaderboardEntry(initials, finalScore, level) {
+  loadLeaderboard();
+  
+  const entry = { initials: initials, score: finalScore, level: level, date: new Date().toISOString() };
+  const dailyRank = insertLeaderboardEntry(leaderboard.daily.entries, entry);
+  const allTimeRank = insertLeaderboardEntry(leaderboard.allTime, entry);
+  saveLeaderboard();
+  lastLeaderboardEntry = entry;
+  
+  emitGameEvent({
+    type: "highScore",
+    initials: initials,
+    score: finalScore,
+    level: level,
+    dailyRank: dailyRank,
+    allTimeRank: allTimeRank
+  });
+}
+
+// Same leaderboard entry? Tables are re-read from localStorage, so compare values rather than objects
+function isSameLeaderboardEntry(a, b) {
+  return !!a && !!b && a.initials === b.initials && a.score === b.score && a.date === b.date;
+}
+
+// Empty the daily table, the all-time table, or both - returns false for an unknown table
+function clearLeaderboardTable(table) {
+  if (!LEADERBOARD_TABLES.includes(table)) {
+    console.warn("Unknown leaderboard table: " + table);
+    return false;
+  }
+  
+  if (table === "daily" || table === "all") {
+    leaderboard.daily = { date: getTodayKey(), entries: [] };
+  }
+  if (table === "allTime" || table === "all") {
+    leaderboard.allTime = [];
+  }
+  lastLeaderboardEntry = null;
+  saveLeaderboard();
+  updateStatusText("Leaderboard cleared: " + table);
+  return true;
+}
+
+// Both tables in the shape sent to TouchDesigner
+function getLeaderboardData() {
+  loadLeaderboard();
+  return {
+    date: leaderboard.daily.date,
+    daily: leaderboard.daily.entries,
+    allTime: leaderboard.allTime
+  };
+}
+
+// Reply to a getLeaderboard request
+function sendLeaderboard() {
+  sendWebSocketData(Object.assign({ type: "leaderboard" }, getLeaderboardData()));
+}
+
+// Open the initials screen for a top-ten score
+function startInitialsEntry() {
+  gameState = "enteringInitials";
+  window.trackingData.gameState = gameState;
+  initialsEntry = {
+    letters: "",
+    dwellCell: -1,
+    dwellStart: 0,
+    lastActivity: simulationTime
+  };
+  
+  emitGameEvent({
+    type: "gameStateChange",
+    state: "enteringInitials"
+  });
+}
+
+// Screen rectangle of a letter cell on the initials grid
+function getInitialsCellRect(index) {
+  const cellSize = Math.min(width / (INITIALS_COLUMNS + 1), height / 7);
+  const gridWidth = cellSize * INITIALS_COLUMNS;
+  const column = index % INITIALS_COLUMNS;
+  const row = Math.floor(index / INITIALS_COLUMNS);
+  
+  return {
+    x: (width - gridWidth) / 2 + column * cellSize,
+    y: height * 0.35 + row * cellSize,
+    size: cellSize
+  };
+}
+
+// Which letter cell (if any) contains a point
+function getInitialsCellAt(x, y) {
+  for (let i = 0; i < INITIALS_LETTERS.length; i++) {
+    const cell = getInitialsCellRect(i);
+    if (x >= cell.x && x < cell.x + cell.size && y >= cell.y && y < cell.y + cell.size) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Add (or delete) a letter, saving the entry once three letters are picked
+function pickInitialsCell(index) {
+  const letter = INITIALS_LETTERS[index];
+  
+  if (letter === "⌫") {
+    initialsEntry.letters = initialsEntry.letters.slice(0, -1);
+  } else {
+    initialsEntry.letters += letter;
+  }
+  
+  initialsEntry.dwellCell = -1;
+  initialsEntry.lastActivity = simulationTime;
+  
+  if (initialsEntry.letters.length >= 3) {
+    finishInitialsEntry();
+  }
+}
+
+// Save the entry and go back to the attract screen
+function finishInitialsEntry() {
+  const initials = (initialsEntry.letters + "---").slice(0, 3);
+  initialsEntry = null;
+  addLeaderboardEntry(initials, score, currentLevel);
+  resetGame();
+}
+
+// Track wrist dwell over the letter grid - called each logic step
+function updateInitialsEntry() {
+  // Give up and save what we have if nobody is picking letters
+  if (simulationTime - initialsEntry.lastActivity > INITIALS_TIMEOUT) {
+    finishInitialsEntry();
+    return;
+  }
+  
+  // Use the first pointer that is over a letter
+  let hoveredCell = -1;
+  for (let i = 0; i < inputPointers.length && hoveredCell === -1; i++) {
+    hoveredCell = getInitialsCellAt(inputPointers[i].x, inputPointers[i].y);
+  }
+  
+  if (hoveredCell === -1) {
+    initialsEntry.dwellCell = -1;
+  } else if (hoveredCell !== initialsEntry.dwellCell) {
+    initialsEntry.dwellCell = hoveredCell;
+    initialsEntry.dwellStart = simulationTime;
+    initialsEntry.lastActivity = simulationTime;
+  } else if (simulationTime - initialsEntry.dwellStart >= INITIALS_DWELL_TIME) {
+    pickInitialsCell(hoveredCell);
+  }
+}
+
+// ---------------- SEEDED RANDOMNESS ----------------
+
+// Next value in [0, 1) from the seeded generator (mulberry32)
+function seededRandom() {
+  rngState = (rngState + 0x6D2B79F5) | 0;
+  let t = rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Seeded replacement for p5's random(min, max) - use for anything that affects gameplay
+function randomRange(min, max) {
+  return min + seededRandom() * (max - min);
+}
+
+// Set the seed used by the next game (and restart the sequence now)
+function setSimulationSeed(seed) {
+  simulationSeed = Math.floor(Number(seed)) >>> 0;
+  rngState = simulationSeed;
+  updateStatusText("Random seed set to " + simulationSeed);
+  return simulationSeed;
+}
+
+// ---------------- SESSION RECORDING ----------------
+
+// Start capturing timestamped inputs and game events
+function startRecording() {
+  sessionRecorder = {
+    recording: true,
+    startTime: millis(),
+    startTick: simulationTick,
+    startSimulationTime: simulationTime,
+    // Captured now so changes made while recording don't alter how the replay starts
+    seed: simulationSeed,
+    maxPlayers: maxPlayers,
+    detectionMode: detectionMode,
+    streamedKeypoints: streamedKeypoints.slice(),
+    settings: Object.assign({}, settings),
+    events: []
+  };
+  updateStatusText("Recording session...");
+  return "Recording started";
+}
+
+// Stop capturing and download the recording as a JSON file
+function stopRecording(download = true) {
+  if (!sessionRecorder.recording) return null;
+  sessionRecorder.recording = false;
+  
+  const recording = {
+    version: RECORDING_VERSION,
+    recordedAt: new Date().toISOString(),
+    dimensions: [width, height],
+    seed: sessionRecorder.seed,
+    startTick: sessionRecorder.startTick,
+    startSimulationTime: sessionRecorder.startSimulationTime,
+    maxPlayers: sessionRecorder.maxPlayers,
+    detectionMode: sessionRecorder.detectionMode,
+    streamedKeypoints: sessionRecorder.streamedKeypoints,
+    settings: sessionRecorder.settings,
+    duration: millis() - sessionRecorder.startTime,
+    events: sessionRecorder.events
+  };
+  
+  if (download) {
+    downloadJSON(recording, "session-" + recording.recordedAt.replace(/[:.]/g, "-") + ".json");
+  }
+  
+  updateStatusText("Recording stopped (" + recording.events.length + " events)");
+  return recording;
+}
+
+// Add an input sample to the running recording
+function recordSessionInput(input) {
+  if (!sessionRecorder.recording) return;
+  // Inputs arriving between steps take effect on the next one - replay applies them there too
+  input.tick = simulationTick - sessionRecorder.startTick;
+  input.t = Math.round(millis() - sessionRecorder.startTime);
+  sessionRecorder.events.push(input);
+}
+
+// Add a game event (ballHit, levelChange...) to the running recording
+function recordSessionEvent(data) {
+  if (!sessionRecorder.recording) return;
+  sessionRecorder.events.push({
+    tick: simulationTick - sessionRecorder.startTick,
+    t: Math.round(millis() - sessionRecorder.startTime),
+    kind: "event",
+    data: Object.assign({}, data)
+  });
+}
+
+// Shrink ml5 poses to [x, y, confidence] triples for the recording
+function compactPoses(results) {
+  return results.map(pose => pose.keypoints.map(keypoint => [
+    Math.round(keypoint.x * 10) / 10,
+    Math.round(keypoint.y * 10) / 10,
+    Math.round(keypoint.confidence * 100) / 100
+  ]));
+}
+
+// Shrink ml5 hands to handedness, confidence and [x, y] landmarks for the recording
+function compactHands(results) {
+  return results.map(hand => ({
+    handedness: hand.handedness,
+    confidence: Math.round(hand.confidence * 100) / 100,
+    keypoints: hand.keypoints.map(keypoint => [
+      Math.round(keypoint.x * 10) / 10,
+      Math.round(keypoint.y * 10) / 10
+    ])
+  }));
+}
+
+// Expand recorded hands back into the ml5 shape, scaled to the current canvas
+function expandHands(compact) {
+  return compact.map(hand => ({
+    handedness: hand.handedness,
+    confidence: hand.confidence,
+    keypoints: hand.keypoints.map(point => ({
+      x: point[0] * sessionReplay.scaleX,
+      y: point[1] * sessionReplay.scaleY
+    }))
+  }));
+}
+
+// Expand recorded poses back into the ml5 shape, scaled to the current canvas
+function expandPoses(compact) {
+  return compact.map(pose => ({
+    keypoints: pose.map(point => ({
+      x: point[0] * sessionReplay.scaleX,
+      y: point[1] * sessionReplay.scaleY,
+      confidence: point[2]
+    }))
+  }));
+}
+
+// Feed a recording back into the game as if it were live input
+function startReplay(recording) {
+  if (!recording || !Array.isArray(recording.events)) {
+    updateStatusText("Invalid recording - no events to replay");
+    return "Error: invalid recording";
+  }
+  if (sessionRecorder.recording) {
+    stopRecording(false);
+  }
+  
+  const dimensions = recording.dimensions || [width, height];
+  sessionReplay = {
+    active: true,
+    recording: recording,
+    index: 0,
+    startTick: recording.startTick !== undefined ? recording.startTick : simulationTick,
+    scaleX: width / dimensions[0],
+    scaleY: height / dimensions[1],
+    pointers: [],
+    // Everything the replay overwrites, put back by stopReplay
+    previous: {
+      useTouchDesignerSensors: useTouchDesignerSensors,
+      settings: Object.assign({}, settings),
+      maxPlayers: maxPlayers,
+      detectionMode: detectionMode,
+      streamedKeypoints: streamedKeypoints.slice(),
+      seed: simulationSeed,
+      rngState: rngState,
+      simulationTick: simulationTick,
+      simulationTime: simulationTime
+    }
+  };
+  
+  // Start from a clean slate with the recorded tracking setup
+  players.forEach(clearPlayerHistory);
+  players = [];
+  clearExternalPointers();
+  if (recording.maxPlayers) setMaxPlayers(recording.maxPlayers);
+  if (recording.detectionMode) setDetectionMode(recording.detectionMode);
+  if (recording.streamedKeypoints) window.setStreamedKeypoints(recording.streamedKeypoints);
+  if (recording.settings) applySettings(recording.settings);
+  useTouchDesignerSensors = false;
+  if (recording.seed !== undefined) {
+    setSimulationSeed(recording.seed);
+  }
+  
+  // Rewind the simulation clock to where the recording started, so every
+  // timer comparison rounds exactly as it did live
+  if (recording.startTick !== undefined) {
+    simulationTick = recording.startTick;
+    simulationTime = recording.startSimulationTime;
+    timestepAccumulator = 0;
+  }
+  resetGame();
+  
+  updateStatusText("Replaying session (" + recording.events.length + " events)");
+  return "Replay started";
+}
+
+// Stop replaying and hand input back to the live source
+function stopReplay() {
+  if (!sessionReplay.active) return;
+  const previous = sessionReplay.previous;
+  sessionReplay = { active: false, recording: null, index: 0, startTick: 0, scaleX: 1, scaleY: 1, pointers: [] };
+  players = [];
+  clearExternalPointers();
+  
+  // Undo the recorded setup, seed and clock the replay applied
+  useTouchDesignerSensors = previous.useTouchDesignerSensors;
+  settings = previous.settings;
+  setMaxPlayers(previous.maxPlayers);
+  setDetectionMode(previous.detectionMode);
+  window.setStreamedKeypoints(previous.streamedKeypoints);
+  simulationSeed = previous.seed;
+  rngState = previous.rngState;
+  simulationTick = previous.simulationTick;
+  simulationTime = previous.simulationTime;
+  timestepAccumulator = 0;
+  
+  // The replayed game's timers ran on the recording's clock - go back to the waiting screen
+  resetGame();
+  refreshTrackingPlayers();
+  updateStatusText("Replay finished");
+}
+
+// Apply every recorded input that is due - called once per frame
+function updateReplay() {
+  if (!sessionReplay.active) return;
+  
+  const events = sessionReplay.recording.events;
+  const elapsedTicks = simulationTick - sessionReplay.startTick;
+  
+  while (sessionReplay.index < events.length && events[sessionReplay.index].tick <= elapsedTicks) {
+    const input = events[sessionReplay.index++];
+    
+    if (input.kind === "poses") {
+      applyPoses(expandPoses(input.poses));
+    } else if (input.kind === "hands") {
+      applyHands(expandHands(input.hands));
+    } else if (input.kind === "wrist") {
+      applyWristInput(input.wrist, input.x * sessionReplay.scaleX, input.y * sessionReplay.scaleY,
+        input.active, input.playerId);
+    } else if (input.kind === "keypoint") {
+      applyKeypointInput(input.part, input.x * sessionReplay.scaleX, input.y * sessionReplay.scaleY,
+        input.confidence, input.playerId);
+    } else if (input.kind === "pointers") {
+      const pointers = input.pointers.map(pointer => Object.assign({}, pointer, {
+        x: pointer.x * sessionReplay.scaleX,
+        y: pointer.y * sessionReplay.scaleY
+      }));
+      if (inputProviders[input.source] && inputProviders[input.source].recorded) {
+        // Mouse, touch and keyboard pointers are used on the step they were recorded
+        sessionReplay.pointers = sessionReplay.pointers.concat(pointers.map(pointer =>
+          createPointer(input.source, pointer.name, null, pointer.x, pointer.y, 1, null)));
+      } else {
+        applyExternalPointers(input.source, pointers);
+      }
+    } else if (input.kind === "start") {
+      startGame();
+    } else if (input.kind === "pause") {
+      pauseGame();
+    } else if (input.kind === "resume") {
+      resumeGame();
     }
+    // "event" entries are recorded game output - the replayed inputs recreate them
   }
+  
+  if (sessionReplay.index >= events.length) {
+    stopReplay();
+  }
+}
+
+// Load a replay from a URL, or let the operator pick a recording file
+function loadReplay(url) {
+  if (url) {
+    fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error("HTTP " + response.status);
+        return response.json();
+      })
+      .then(startReplay)
+      .catch(e => updateStatusText("Could not load recording: " + e.message));
+    return;
+  }
+  
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'application/json,.json';
+  input.addEventListener('change', function() {
+    if (!input.files.length) return;
+    input.files[0].text()
+      .then(text => startReplay(JSON.parse(text)))
+      .catch(e => updateStatusText("Could not read recording: " + e.message));
+  });
+  input.click();
+}
+
+// Save an object as a downloadable JSON file
+function downloadJSON(data, filename) {
+  const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  // Some browsers start the download after click() returns - free the URL once it has
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// True when some input source is feeding player positions
+function isTrackingInputLive() {
+  return useTouchDesignerSensors || sessionReplay.active ||
+    (isModelReady && ml5Available && (poses.length > 0 || hands.length > 0));
 }
 
 // ---------------- DRAWING FUNCTIONS ----------------
@@ -1025,6 +5169,24 @@ function drawCameraStatus() {
   }
 }
 
+// Draw recording/replay indicator - SIMPLIFIED
+function drawSessionStatus() {
+  if (!sessionRecorder.recording && !sessionReplay.active) return;
+  
+  noStroke();
+  textSize(16);
+  textAlign(CENTER, TOP);
+  
+  if (sessionRecorder.recording) {
+    fill(255, 60, 60);
+    text("● REC", width/2, 50);
+  } else {
+    const events = sessionReplay.recording.events;
+    fill(100, 200, 255);
+    text("▶ REPLAY " + Math.floor(sessionReplay.index / events.length * 100) + "%", width/2, 50);
+  }
+}
+
 // Draw TouchDesigner connection status - SIMPLIFIED
 function drawConnectionStatus() {
   // Show active input mode text
@@ -1038,6 +5200,7 @@ function drawConnectionStatus() {
     "INPUT: Browser Pose Detection";
   
   text(inputMode, width - 20, 60);
+  text("Live inputs: " + (getLiveInputProviders().join(", ") || "none"), width - 20, 100);
   
   if (isTouchDesignerConnected) {
     fill(0, 255, 0); // Green
@@ -1048,74 +5211,42 @@ function drawConnectionStatus() {
   }
 }
 
-// Draw TouchDesigner keypoints - SIMPLIFIED
-function drawTouchDesignerKeypoints() {
-  // Draw wrist points only for performance
-  if (window.trackingData.wrists.left.active) {
-    let x = window.trackingData.wrists.left.x;
-    let y = window.trackingData.wrists.left.y;
-    
-    // Set color based on threshold if in waiting state
-    let wristColor = (gameState === "waiting" && y < height * 0.6) ? 
-      color(0, 255, 0, 200) : color(255, 255, 0, 200);
-    
-    // Draw wrist
-    fill(wristColor);
-    noStroke();
-    circle(x, y, 15);
-  }
+// Crosshairs for pointers from providers that ask for one (keyboard, external sensors)
+function drawInputCursors() {
+  inputPointers.forEach(pointer => {
+    if (!inputProviders[pointer.source].cursor) return;
+    
+    noFill();
+    stroke(0, 200, 255);
+    strokeWeight(2);
+    circle(pointer.x, pointer.y, 24);
+    line(pointer.x - 16, pointer.y, pointer.x + 16, pointer.y);
+    line(pointer.x, pointer.y - 16, pointer.x, pointer.y + 16);
+  });
+}
+
+// Draw every player's wrists in their colour - SIMPLIFIED
+function drawPlayerWrists() {
+  const showLabels = players.length > 1;
   
-  if (window.trackingData.wrists.right.active) {
-    let x = window.trackingData.wrists.right.x;
-    let y = window.trackingData.wrists.right.y;
+  getActiveWrists().forEach(wrist => {
+    const c = wrist.player.color;
     
-    // Set color based on threshold if in waiting state
-    let wristColor = (gameState === "waiting" && y < height * 0.6) ? 
-      color(0, 255, 0, 200) : color(0, 255, 255, 200);
+    // Green when above the start threshold in waiting state
+    let wristColor = (gameState === "waiting" && wrist.y < height * settings.startLineHeight) ?
+      color(0, 255, 0, 200) : color(c[0], c[1], c[2], 200);
     
-    // Draw wrist
     fill(wristColor);
     noStroke();
-    circle(x, y, 15);
-  }
-}
-
-// Draw keypoints - SIMPLIFIED
-function drawKeypoints(pose) {
-  // Reset wrist activity flags
-  window.trackingData.wrists.left.active = false;
-  window.trackingData.wrists.right.active = false;
-  
-  // Only draw wrist keypoints for performance
-  for (let j = 0; j < pose.keypoints.length; j++) {
-    let keypoint = pose.keypoints[j];
-    
-    // Only process wrist points
-    if ((j === 9 || j === 10) && keypoint.confidence > 0.2) {
-      // Update global wrist tracking data
-      if (j === 9) {  // leftWrist
-        window.trackingData.wrists.left.active = true;
-        window.trackingData.wrists.left.x = keypoint.x;
-        window.trackingData.wrists.left.y = keypoint.y;
-      } else if (j === 10) {  // rightWrist
-        window.trackingData.wrists.right.active = true;
-        window.trackingData.wrists.right.x = keypoint.x;
-        window.trackingData.wrists.right.y = keypoint.y;
-      }
-      
-      // Color based on if wrist is above threshold when in waiting state
-      let wristColor;
-      if (gameState === "waiting" && keypoint.y < height * 0.6) {
-        wristColor = color(0, 255, 0); // Green when above threshold
-      } else {
-        wristColor = color(255, 255, 0); // Yellow otherwise
-      }
-      
-      fill(wristColor);
-      noStroke();
-      circle(keypoint.x, keypoint.y, 15);
+    circle(wrist.x, wrist.y, 15);
+    
+    // Label players once there is more than one
+    if (showLabels) {
+      textAlign(CENTER, BOTTOM);
+      textSize(12);
+      text("P" + wrist.player.id, wrist.x, wrist.y - 10);
     }
-  }
+  });
 }
 
 // Enhanced debug visualization - SIMPLIFIED
@@ -1131,37 +5262,52 @@ function drawDebugInfo() {
   text(`Game State: ${gameState.toUpperCase()}`, 20, height - 40);
   
   // Only draw wrist indicators if active
-  if (window.trackingData.wrists.left.active) {
-    let x = window.trackingData.wrists.left.x;
-    let y = window.trackingData.wrists.left.y;
+  getActiveWrists().forEach(wrist => {
+    const c = wrist.player.color;
     
     // Draw text
-    fill(255, 255, 0);
+    noStroke();
+    fill(c[0], c[1], c[2]);
     textSize(16);
-    text(`LEFT`, x + 20, y);
+    text(`P${wrist.player.id} ${wrist.side.toUpperCase()}`, wrist.x + 20, wrist.y);
     
     // Draw circle
     noFill();
     strokeWeight(2);
-    stroke(255, 255, 0);
-    circle(x, y, 80);
-  }
+    stroke(c[0], c[1], c[2]);
+    circle(wrist.x, wrist.y, 80);
+  });
   
-  if (window.trackingData.wrists.right.active) {
-    let x = window.trackingData.wrists.right.x;
-    let y = window.trackingData.wrists.right.y;
-    
-    // Draw text
-    fill(0, 255, 255);
-    textSize(16);
-    text(`RIGHT`, x + 20, y);
-    
-    // Draw circle
-    noFill();
-    strokeWeight(2);
-    stroke(0, 255, 255);
-    circle(x, y, 80);
-  }
+  drawSmoothingDebug();
+}
+
+// Raw (red ring) and filtered (green dot) keypoints side by side - debug only
+function drawSmoothingDebug() {
+  players.forEach(player => {
+    Object.keys(player.keypointState).forEach(part => {
+      const keypoint = player.keypointState[part];
+      if (!keypoint.raw || keypoint.confidence <= KEYPOINT_CONFIDENCE_THRESHOLD) return;
+      
+      stroke(255, 255, 255, 120);
+      strokeWeight(1);
+      line(keypoint.raw.x, keypoint.raw.y, keypoint.x, keypoint.y);
+      
+      noFill();
+      stroke(255, 60, 60);
+      strokeWeight(2);
+      circle(keypoint.raw.x, keypoint.raw.y, 12);
+      
+      noStroke();
+      fill(0, 255, 0);
+      circle(keypoint.x, keypoint.y, 8);
+    });
+  });
+  
+  noStroke();
+  fill(255);
+  textSize(14);
+  textAlign(LEFT, BOTTOM);
+  text(`Smoothing: ${smoothingFilter} (red = raw, green = filtered)`, 20, height - 60);
 }
 
 // Draw reset button - SIMPLIFIED
@@ -1212,7 +5358,8 @@ function drawWaitingScreen() {
   text("Motion Tracking Game", width/2, height/3 - 50);
   
   textSize(24);
-  text("Raise your hand to start", width/2, height/2 - 40);
+  text(isHandTracking() ? "Pinch your thumb and finger to start" : "Raise your hand to start",
+    width/2, height/2 - 40);
   
   // Draw a figure with hands raised (simplified)
   stroke(255);
@@ -1235,17 +5382,19 @@ function drawWaitingScreen() {
   circle(figureX - figureSize*0.3, figureY - figureSize*0.5, figureSize*0.1);
   circle(figureX + figureSize*0.3, figureY - figureSize*0.5, figureSize*0.1);
   
-  // Highlight hand position zone
-  stroke(255, 255, 0, 150);
-  strokeWeight(3);
-  line(0, height * 0.6, width, height * 0.6);
-  
-  // Label for threshold line
-  noStroke();
-  fill(255, 255, 0);
-  textSize(18);
-  textAlign(LEFT, CENTER);
-  text("Raise hand above this line", 20, height * 0.6 - 15);
+  // Highlight hand position zone (not used by the pinch start)
+  if (!isHandTracking()) {
+    stroke(255, 255, 0, 150);
+    strokeWeight(3);
+    line(0, height * settings.startLineHeight, width, height * settings.startLineHeight);
+    
+    // Label for threshold line
+    noStroke();
+    fill(255, 255, 0);
+    textSize(18);
+    textAlign(LEFT, CENTER);
+    text("Raise hand above this line", 20, height * settings.startLineHeight - 15);
+  }
   
   // Draw progress bar if gesture is being held
   if (gestureProgressBar > 0) {
@@ -1262,58 +5411,37 @@ function drawWaitingScreen() {
     text("Starting: " + Math.floor(gestureProgressBar * 100) + "%", width/2, height*0.7 + 15);
   }
   
+  // Show today's and all-time top scores
+  if (width > 900) {
+    drawLeaderboardTable("TODAY", leaderboard.daily.entries, 20, height * 0.15);
+    drawLeaderboardTable("ALL TIME", leaderboard.allTime, width - 240, height * 0.15);
+  }
+  
   // Draw invisible balls that will be visible when game starts
   drawBalls();
   
-  // Process movement for gesture detection
-  if (useTouchDesignerSensors) {
-    // Just draw the keypoints for feedback
-    drawTouchDesignerKeypoints();
-  } else if (isModelReady && ml5Available && poses.length > 0) {
-    // Draw the keypoints (simplified)
-    for (let i = 0; i < poses.length; i++) {
-      drawKeypoints(poses[i]);
-    }
-  }
+  // Draw the wrists for feedback
+  drawPlayerWrists();
   
   // Draw hand position indicators (simplified)
-  if (window.trackingData.wrists.left.active || window.trackingData.wrists.right.active) {
-    noStroke();
-    textAlign(CENTER, CENTER);
-    textSize(18);
+  noStroke();
+  textAlign(CENTER, CENTER);
+  textSize(18);
+  
+  getActiveWrists().forEach(wrist => {
+    const c = wrist.player.color;
     
-    if (window.trackingData.wrists.left.active) {
-      const x = window.trackingData.wrists.left.x;
-      const y = window.trackingData.wrists.left.y;
-      
-      if (y < height * 0.6) {
-        fill(0, 255, 0, 200);
-        text("✓", x, y - 30);
-      } else {
-        fill(255, 200, 0, 200);
-        text("↑", x, y - 30);
-      }
-      
-      fill(255, 255, 0, 180);
-      ellipse(x, y, 40, 40);
+    if (wrist.y < height * settings.startLineHeight) {
+      fill(0, 255, 0, 200);
+      text("✓", wrist.x, wrist.y - 30);
+    } else {
+      fill(255, 200, 0, 200);
+      text("↑", wrist.x, wrist.y - 30);
     }
     
-    if (window.trackingData.wrists.right.active) {
-      const x = window.trackingData.wrists.right.x;
-      const y = window.trackingData.wrists.right.y;
-      
-      if (y < height * 0.6) {
-        fill(0, 255, 0, 200);
-        text("✓", x, y - 30);
-      } else {
-        fill(255, 200, 0, 200);
-        text("↑", x, y - 30);
-      }
-      
-      fill(0, 255, 255, 180);
-      ellipse(x, y, 40, 40);
-    }
-  }
+    fill(c[0], c[1], c[2], 180);
+    ellipse(wrist.x, wrist.y, 40, 40);
+  });
 }
 
 // Game Over screen - SIMPLIFIED
@@ -1336,15 +5464,176 @@ function drawGameOverScreen() {
   textSize(24);
   text("Level Reached: " + currentLevel, width/2, height/2 + 50);
   
-  // Instruction to restart
+  // Instruction to restart - or a hint that initials come next
   textSize(20);
   fill(255, 255, 0);
-  text("Game will restart in a few seconds...", width/2, height*0.7);
+  if (gameOverQualifies) {
+    text("New high score! Get ready to enter your initials...", width/2, height*0.7);
+  } else {
+    text("Game will restart in a few seconds...", width/2, height*0.7);
+  }
   
   // Draw reset button
   drawResetButton();
 }
 
+// Initials entry screen - dwell a wrist over a letter to pick it
+function drawInitialsEntryScreen() {
+  // Draw transparent overlay
+  fill(0, 0, 0, 210);
+  rect(0, 0, width, height);
+  
+  // Title and score
+  fill(255, 200, 0);
+  textAlign(CENTER, CENTER);
+  textSize(40);
+  text("NEW HIGH SCORE: " + score, width/2, height * 0.1);
+  
+  fill(255);
+  textSize(20);
+  text("Hold your hand over a letter to pick your initials", width/2, height * 0.17);
+  
+  // Letters picked so far
+  textSize(48);
+  const entered = (initialsEntry.letters + "___").slice(0, 3).split("").join(" ");
+  text(entered, width/2, height * 0.26);
+  
+  // Letter grid with dwell progress
+  for (let i = 0; i < INITIALS_LETTERS.length; i++) {
+    const cell = getInitialsCellRect(i);
+    const isHovered = i === initialsEntry.dwellCell;
+    
+    stroke(255, 255, 255, 120);
+    strokeWeight(2);
+    fill(isHovered ? color(60, 60, 120, 220) : color(30, 30, 30, 200));
+    rect(cell.x + 4, cell.y + 4, cell.size - 8, cell.size - 8, 8);
+    
+    if (isHovered) {
+      const progress = Math.min(1, (simulationTime - initialsEntry.dwellStart) / INITIALS_DWELL_TIME);
+      noStroke();
+      fill(0, 255, 0, 120);
+      rect(cell.x + 4, cell.y + cell.size - 4 - (cell.size - 8) * progress, cell.size - 8, (cell.size - 8) * progress, 8);
+    }
+    
+    noStroke();
+    fill(255);
+    textSize(cell.size * 0.45);
+    text(INITIALS_LETTERS[i], cell.x + cell.size / 2, cell.y + cell.size / 2);
+  }
+  
+  // Draw the wrists and cursors so players can see what they're pointing at
+  drawPlayerWrists();
+  drawInputCursors();
+}
+
+// Pause overlay on top of the frozen game - with the countdown while resuming
+function drawPauseOverlay() {
+  noStroke();
+  fill(0, 0, 0, 160);
+  rect(0, 0, width, height);
+  
+  fill(255);
+  textAlign(CENTER, CENTER);
+  
+  if (gameState === "resuming") {
+    const secondsLeft = Math.ceil((resumeAt - simulationTime) / 1000);
+    textSize(120);
+    text(Math.max(secondsLeft, 1), width/2, height/2);
+    textSize(24);
+    text("Get ready!", width/2, height/2 + 90);
+  } else {
+    textSize(64);
+    text("PAUSED", width/2, height/2 - 30);
+    // Only mention the gestures currently bound to resuming
+    const gestures = Object.keys(gestureBindings)
+      .filter(gesture => gestureBindings[gesture] === "togglePause" || gestureBindings[gesture] === "resume")
+      .map(gesture => GESTURE_HINTS[gesture]);
+    textSize(22);
+    text(["Press P"].concat(gestures).join(" or ") + " to resume", width/2, height/2 + 40);
+  }
+}
+
+// Calibration screen - targets to mark, with hold progress on the current one
+function drawCalibrationScreen() {
+  // Light overlay so the camera image stays visible for clicking
+  noStroke();
+  fill(0, 0, 0, 100);
+  rect(0, 0, width, height);
+  
+  const current = calibrationSession.points.length;
+  CALIBRATION_TARGETS.forEach((target, i) => {
+    const x = target[0] * width;
+    const y = target[1] * height;
+    
+    // Green once captured, pulsing yellow for the current target, grey for later ones
+    if (i < current) {
+      stroke(0, 255, 0);
+    } else if (i === current) {
+      stroke(255, 255, 0, 150 + 100 * Math.sin(frameCount * 0.2));
+    } else {
+      stroke(120);
+    }
+    strokeWeight(3);
+    noFill();
+    circle(x, y, 40);
+    line(x - 30, y, x + 30, y);
+    line(x, y - 30, x, y + 30);
+  });
+  
+  // Where the camera saw each captured target
+  noStroke();
+  fill(255, 60, 60);
+  calibrationSession.points.forEach(point => {
+    circle(point[0] * width, point[1] * height, 10);
+  });
+  
+  // Hold progress around the wrist being held still
+  if (calibrationSession.dwellStart !== 0) {
+    const progress = Math.min(1, (simulationTime - calibrationSession.dwellStart) / settings.calibrationDuration);
+    noFill();
+    stroke(0, 255, 0);
+    strokeWeight(4);
+    arc(calibrationSession.dwellX, calibrationSession.dwellY, 50, 50, -HALF_PI, -HALF_PI + TWO_PI * progress);
+  }
+  
+  drawPlayerWrists();
+  
+  // Instructions
+  noStroke();
+  fill(255);
+  textAlign(CENTER, CENTER);
+  textSize(28);
+  text("CALIBRATION - target " + Math.min(current + 1, 4) + " of 4", width/2, height * 0.4);
+  textSize(18);
+  text("Hold a hand still on the yellow target, or click where the camera shows it", width/2, height * 0.46);
+  text("SPACE captures the tracked hand now - K cancels", width/2, height * 0.51);
+}
+
+// Draw one leaderboard table - SIMPLIFIED
+function drawLeaderboardTable(title, entries, x, y) {
+  noStroke();
+  fill(0, 0, 0, 150);
+  rect(x, y, 220, 50 + LEADERBOARD_SIZE * 22, 10);
+  
+  fill(255, 200, 0);
+  textAlign(CENTER, TOP);
+  textSize(18);
+  text(title, x + 110, y + 10);
+  
+  textSize(16);
+  for (let i = 0; i < LEADERBOARD_SIZE; i++) {
+    const entry = entries[i];
+    const rowY = y + 40 + i * 22;
+    
+    // Highlight the entry that was just added
+    fill(isSameLeaderboardEntry(entry, lastLeaderboardEntry) ? color(0, 255, 0) : color(255));
+    textAlign(LEFT, TOP);
+    text((i + 1) + ". " + (entry ? entry.initials : "---"), x + 15, rowY);
+    textAlign(RIGHT, TOP);
+    text(entry ? entry.score : "", x + 205, rowY);
+  }
+}
+
 // Draw game screen with balls and interaction - OPTIMIZED
 function drawGameScreen() {
   // Draw balls
@@ -1353,15 +5642,13 @@ function drawGameScreen() {
   // Draw effects (particles and score texts)
   drawEffects();
   
+  // Keyboard and external sensor pointers have no wrist to draw
+  drawInputCursors();
+  
   // Draw keypoints based on input mode
-  if (useTouchDesignerSensors) {
-    // Draw keypoints from TouchDesigner data (simplified)
-    drawTouchDesignerKeypoints();
-  } else if (isModelReady && ml5Available && poses.length > 0) {
-    // Draw keypoints from browser pose detection (simplified)
-    for (let i = 0; i < poses.length; i++) {
-      drawKeypoints(poses[i]);
-    }
+  if (isTrackingInputLive()) {
+    // Draw wrists from TouchDesigner, browser pose detection or replay (simplified)
+    drawPlayerWrists();
     
     // Only draw debug info if debugging is enabled
     if (debugMode) {
@@ -1392,6 +5679,45 @@ function drawGameScreen() {
   textSize(18);
   text("Level: " + currentLevel, 20, 75);
   
+  // Draw the combo while one is running
+  const hudCombo = window.trackingData.combo;
+  if (players.length <= 1 && hudCombo.count > 1) {
+    fill(0, 0, 0, 150);
+    rect(10, 105, 150, 30, 10);
+    fill(255, 200, 0);
+    textSize(18);
+    text("Combo " + hudCombo.count + "  x" + hudCombo.multiplier, 20, 110);
+  }
+  
+  // Draw lives as hearts - lost lives are greyed out
+  fill(0, 0, 0, 150);
+  rect(width - 160, 10, 150, 40, 10);
+  textAlign(RIGHT, CENTER);
+  textSize(24);
+  const heartsShown = Math.min(startingLives, 5);
+  for (let i = 0; i < heartsShown; i++) {
+    fill(i < lives ? color(255, 60, 80) : color(90));
+    text("♥", width - 20 - i * 26, 30);
+  }
+  if (startingLives > heartsShown) {
+    fill(255);
+    textSize(16);
+    text(lives + "×", width - 25 - heartsShown * 26, 30);
+  }
+  textAlign(LEFT, TOP);
+  
+  // Per-player scores once more than one person is playing
+  if (players.length > 1) {
+    players.forEach((player, index) => {
+      const panelY = 145 + index * 35;
+      fill(0, 0, 0, 150);
+      rect(10, panelY, 150, 30, 10);
+      fill(player.color[0], player.color[1], player.color[2]);
+      const comboLabel = player.combo.count > 1 ? "  x" + player.combo.multiplier : "";
+      text("P" + player.id + ": " + player.score + comboLabel, 20, panelY + 5);
+    });
+  }
+  
   // Draw reset button
   drawResetButton();
 }
@@ -1405,76 +5731,132 @@ function draw() {
   }
   lastRenderTime = currentTime;
   
-  // Clear the background
-  background(0, 10); // Semi-transparent background for motion trails
+  // TD renders everything - only run the rules and stream the state
+  if (logicOnlyMode) {
+    runFixedTimestep(currentTime);
+    pushDataToTouchDesigner();
+    return;
+  }
   
-  // Display the video with reduced opacity for better game visibility
-  if (video && cameraPermissionState === "granted") {
-    tint(255, 200);
-    image(video, 0, 0, width, height);
-    noTint();
+  // Frames streamed without the camera draw the game alone first - see CANVAS STREAMING
+  const streamFrame = isCanvasStreamFrameDue(currentTime);
+  const gameLayerOnly = streamFrame && !canvasStream.includeCamera;
+  
+  if (gameLayerOnly) {
+    beginGameLayerCapture();
+  } else {
+    drawBackgroundLayer();
   }
   
   // Split update and render phases for better performance
   
-  // 1. Update game logic
-  updateGameLogic();
+  // 1. Update game logic in fixed steps so speed doesn't depend on frame rate
+  runFixedTimestep(currentTime);
   
   // 2. Render the game
   renderGame();
   
+  if (streamFrame) {
+    captureCanvasFrame(currentTime);
+    if (gameLayerOnly) {
+      endGameLayerCapture();
+    }
+  }
+  
   // 3. Push data to TouchDesigner (throttled inside function)
   pushDataToTouchDesigner();
 }
 
-// Update game logic - SEPARATED FOR PERFORMANCE
+// Fade the last frame and draw the camera over it
+function drawBackgroundLayer() {
+  // Clear the background
+  background(0, 10); // Semi-transparent background for motion trails
+  drawCameraLayer();
+}
+
+// Display the video with reduced opacity for better game visibility
+function drawCameraLayer() {
+  if (video && cameraPermissionState === "granted") {
+    tint(255, 200);
+    image(video, 0, 0, width, height);
+    noTint();
+  }
+}
+
+// Run as many fixed logic steps as the elapsed real time calls for
+function runFixedTimestep(currentTime) {
+  const elapsed = lastFrameTime === 0 ? FIXED_TIMESTEP : currentTime - lastFrameTime;
+  lastFrameTime = currentTime;
+  timestepAccumulator += Math.min(elapsed, FIXED_TIMESTEP * MAX_STEPS_PER_FRAME);
+  
+  while (timestepAccumulator >= FIXED_TIMESTEP) {
+    updateGameLogic();
+    simulationTick++;
+    simulationTime += FIXED_TIMESTEP;
+    timestepAccumulator -= FIXED_TIMESTEP;
+  }
+}
+
+// Update game logic by one fixed step - SEPARATED FOR PERFORMANCE
 function updateGameLogic() {
-  // Update ball physics
-  updateBalls();
+  // Feed any due replay inputs first, exactly as they arrived live
+  updateReplay();
   
-  // Process based on mode (TD sensors or browser pose detection)
-  if (useTouchDesignerSensors) {
-    // Check for ball collisions using TD wrist data
-    if (window.trackingData.wrists.left.active) {
-      checkBallCollision(
-        window.trackingData.wrists.left.x,
-        window.trackingData.wrists.left.y
-      );
-    }
-    
-    if (window.trackingData.wrists.right.active) {
-      checkBallCollision(
-        window.trackingData.wrists.right.x,
-        window.trackingData.wrists.right.y
-      );
-    }
-  } 
-  // Browser pose detection mode
-  else if (isModelReady && ml5Available && poses.length > 0) {
-    // Check for ball collisions each frame using tracked wrists
-    if (window.trackingData.wrists.left.active) {
-      checkBallCollision(
-        window.trackingData.wrists.left.x,
-        window.trackingData.wrists.left.y
-      );
-    }
-    
-    if (window.trackingData.wrists.right.active) {
-      checkBallCollision(
-        window.trackingData.wrists.right.x,
-        window.trackingData.wrists.right.y
-      );
-    }
+  // Update ball physics - everything stays frozen while paused
+  if (isGamePaused()) {
+    updatePause();
+  } else {
+    updateBalls();
+    updateEffects();
+    updateCombos();
+  }
+  
+  // Forget players who have left - not while paused, so stepping away doesn't cost a score
+  if (!isGamePaused()) {
+    prunePlayers();
+  }
+  
+  // Recognise gestures from every player's keypoint history
+  updateGestures();
+  
+  // Gather this step's pointers from every live input provider
+  updateInputPointers();
+  
+  // Raised-hand start and hold-still calibration read the same pointers as collisions
+  if (gameState === "waiting") {
+    checkStartGesture();
+  }
+  if (gameState === "calibrating") {
+    updateCalibration();
+  }
+  
+  // Check for ball collisions the same way whatever the source - untracked
+  // pointers (mouse, touch, keyboard) have no player and no measured speed
+  if (!isGamePaused()) {
+    inputPointers.forEach(pointer => {
+      const player = pointer.playerId !== null ? players.find(p => p.id === pointer.playerId) : undefined;
+      checkBallCollision(pointer.x, pointer.y, player, pointer.speed !== null ? pointer : undefined);
+    });
+  }
+  
+  // Dwell-to-pick letters on the initials screen
+  if (gameState === "enteringInitials") {
+    updateInitialsEntry();
   }
   
   // Check if level is complete
   checkLevelComplete();
   
-  // Check for game over conditions
+  // Check for game over conditions, and move on once the game over screen has shown
   checkGameOver();
+  if (gameState === "gameOver") {
+    updateGameOver();
+  }
   
   // Update score in tracking data
   window.trackingData.score = score;
+  window.trackingData.lives = lives;
+  refreshTrackingPlayers();
   window.trackingData.gameState = gameState;
   window.trackingData.level = currentLevel;
 }
@@ -1488,6 +5870,13 @@ function renderGame() {
     drawGameScreen();
   } else if (gameState === "gameOver") {
     drawGameOverScreen();
+  } else if (gameState === "enteringInitials") {
+    drawInitialsEntryScreen();
+  } else if (gameState === "calibrating") {
+    drawCalibrationScreen();
+  } else if (isGamePaused()) {
+    drawGameScreen();
+    drawPauseOverlay();
   }
   
   // Draw connection indicator
@@ -1497,6 +5886,9 @@ function renderGame() {
   
   // Draw camera permission status
   drawCameraStatus();
+  
+  // Show when a session is being recorded or replayed
+  drawSessionStatus();
 }
 
 // ---------------- INPUT HANDLERS ----------------
@@ -1509,20 +5901,53 @@ window.addEventListener('message', function(event) {
     // Handle different command types
     switch (event.data.command) {
       case "startGame":
-        startGame();
+        startGameFromInput();
         break;
       
       case "resetGame":
         resetGame();
         break;
       
+      case "pauseGame":
+        pauseFromInput();
+        break;
+      
+      case "resumeGame":
+        resumeFromInput();
+        break;
+      
+      case "clearLeaderboard":
+        clearLeaderboardTable(event.data.table || "all");
+        break;
+      
+      case "config":
+        // Same settings as the WebSocket config message
+        applySettings(event.data.data || {}).forEach(error => console.warn(error));
+        break;
+      
+      case "getConfig":
+        // Answer the page that asked
+        if (event.source) {
+          event.source.postMessage(Object.assign({ type: "TD_CONFIG" }, getConfig()), "*");
+        }
+        break;
+      
+      case "startCalibration":
+        startCalibration();
+        break;
+      
+      case "clearCalibration":
+        clearCalibration();
+        break;
+      
       case "setWrist":
         if (event.data.data) {
           window.setWristFromTouchDesigner(
             event.data.data.wrist,
             event.data.data.x,
             event.data.data.y,
-            event.data.data.active
+            event.data.data.active,
+            event.data.data.playerId
           );
         }
         break;
@@ -1542,6 +5967,11 @@ function windowResized() {
   if (video) {
     video.size(containerWidth, containerHeight);
   }
+  
+  // Pixel ranges changed - let TouchDesigner know
+  if (webSocketConnected) {
+    sendCoordinateSpace();
+  }
 }
 
 // Add mouse fallback for testing and reset button functionality
@@ -1560,12 +5990,27 @@ function mousePressed() {
   
   // If we're in the instructions screen, start the game
   if (gameState === "waiting") {
-    startGame();
+    startGameFromInput();
+    return;
+  }
+  
+  // Clicking marks where the camera image shows the current target
+  if (gameState === "calibrating") {
+    captureCalibrationPoint(mouseX, mouseY);
+    return;
+  }
+  
+  // Clicking a letter picks it straight away on the initials screen
+  if (gameState === "enteringInitials") {
+    const cell = getInitialsCellAt(mouseX, mouseY);
+    if (cell !== -1) {
+      pickInitialsCell(cell);
+    }
     return;
   }
   
-  // Check for collision at mouse position
-  checkBallCollision(mouseX, mouseY);
+  // Hit balls through the mouse input provider on the next logic step
+  mouseInput.pending = true;
 }
 
 // Add touch support for testing
@@ -1593,14 +6038,12 @@ function touchStarted() {
   
   // If we're in the instructions screen, start the game
   if (gameState === "waiting") {
-    startGame();
+    startGameFromInput();
     return false;
   }
   
-  // Check for collision at all touch points
-  for (let i = 0; i < touches.length; i++) {
-    checkBallCollision(touches[i].x, touches[i].y);
-  }
+  // Hit balls at all touch points through the touch input provider
+  touchInput.pending = touches.map(touch => ({ x: touch.x, y: touch.y }));
   return false; // Prevent default
 }
 
@@ -1613,7 +6056,56 @@ function keyPressed() {
   
   // Spacebar to start game when in waiting state
   if (key === ' ' && gameState === "waiting") {
-    startGame();
+    startGameFromInput();
+  }
+  
+  // Spacebar captures the first tracked wrist as the current calibration point
+  if (key === ' ' && gameState === "calibrating") {
+    const wrist = getActiveWrists()[0];
+    if (wrist) {
+      captureCalibrationPoint(wrist.x, wrist.y);
+    }
+  }
+  
+  // 'P' key to pause or resume
+  if (key === 'p' || key === 'P') {
+    if (gameState === "paused") {
+      resumeFromInput();
+    } else {
+      pauseFromInput();
+    }
+  }
+  
+  // 'H' key to switch between body pose and hand pose detection
+  if (key === 'h' || key === 'H') {
+    setDetectionMode(detectionMode === "hands" ? "body" : "hands");
+  }
+  
+  // 'K' key to start (or cancel) camera calibration
+  if (key === 'k' || key === 'K') {
+    if (gameState === "calibrating") {
+      cancelCalibration();
+    } else {
+      startCalibration();
+    }
+  }
+  
+  // 'C' key to start/stop capturing a session recording
+  if (key === 'c' || key === 'C') {
+    if (sessionRecorder.recording) {
+      stopRecording();
+    } else {
+      startRecording();
+    }
+  }
+  
+  // 'L' key to load a recording and replay it (or stop the running replay)
+  if (key === 'l' || key === 'L') {
+    if (sessionReplay.active) {
+      stopReplay();
+    } else {
+      loadReplay();
+    }
   }
 }
 
@@ -1621,6 +6113,34 @@ function keyPressed() {
 window.gameControls = {
   startGame: startGame,
   resetGame: resetGame,
+  pauseGame: pauseFromInput,
+  resumeGame: resumeFromInput,
+  startRecording: startRecording,
+  stopRecording: stopRecording,
+  startReplay: startReplay,
+  stopReplay: stopReplay,
+  setSeed: setSimulationSeed,
+  setMinSwipeSpeed: setMinSwipeSpeed,
+  setSmoothing: setSmoothing,
+  setDetectionMode: setDetectionMode,
+  configureGestures: configureGestures,
+  registerInputProvider: registerInputProvider,
+  setInputProviderEnabled: setInputProviderEnabled,
+  startCalibration: startCalibration,
+  clearCalibration: clearCalibration,
+  getLeaderboard: getLeaderboardData,
+  clearLeaderboard: clearLeaderboardTable,
+  getConfig: getConfig,
+  setSetting: setSetting,
+  applySettings: applySettings,
+  resetSettings: resetSettings,
+  setConnectionEndpoint: setConnectionEndpoint,
+  setBinaryTracking: setBinaryTracking,
+  setCanvasStream: setCanvasStream,
+  setLogicOnlyMode: setLogicOnlyMode,
+  reconnect: reconnectWebSocket,
+  disconnect: closeWebSocket,
+  getConnection: getConnectionInfo,
   setDebugMode: function(enabled) {
     debugMode = enabled;
     return "Debug mode: " + (enabled ? "enabled" : "disabled");